@@ -7,6 +7,16 @@ const socketIo = require('socket.io');
 const http = require('http');
 require('dotenv').config();
 
+const { assertJwtSecret } = require('./utils/tokens');
+assertJwtSecret();
+
+const { registerSocketHandlers } = require('./utils/socket');
+const { startDispatcher } = require('./utils/dispatch');
+const { startNotifications } = require('./utils/notifications');
+const { startWebhooks } = require('./utils/webhooks');
+const { backfillDeliveryWindows } = require('./utils/orderExport');
+const { apiKeyFromRequest, verifyRequestApiKey } = require('./utils/apiKeys');
+
 const authRoutes = require('./routes/auth');
 const businessRoutes = require('./routes/business');
 const riderRoutes = require('./routes/rider');
@@ -31,10 +41,18 @@ app.use(cors());
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Order routes with a valid API key are limited per key in the auth
+  // middleware instead; missing or unknown keys count against the IP
+  skip: async (req) => req.path.startsWith('/api/orders') &&
+    !!apiKeyFromRequest(req) &&
+    !(await verifyRequestApiKey(req)).error
 });
 app.use(limiter);
 
+// Stripe webhooks need the raw body for signature verification
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -44,26 +62,20 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/delivery-
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('MongoDB connected'))
+.then(() => {
+  console.log('MongoDB connected');
+  startDispatcher();
+  startNotifications();
+  startWebhooks();
+  backfillDeliveryWindows()
+    .then((filled) => filled && console.log(`Delivery windows filled in for ${filled} orders`))
+    .catch((error) => console.log('Delivery window backfill error:', error.message));
+})
 .catch(err => console.log('MongoDB connection error:', err));
 
 // Socket.io for real-time tracking
 global.io = io;
-io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('join-order', (orderId) => {
-    socket.join(`order-${orderId}`);
-  });
-  
-  socket.on('rider-location', (data) => {
-    socket.to(`order-${data.orderId}`).emit('location-update', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
-  });
-});
+registerSocketHandlers(io);
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -1,28 +1,95 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/tokens');
+const { apiKeyFromRequest, verifyRequestApiKey, consumeRateLimit } = require('../utils/apiKeys');
 
+// Shared by HTTP and socket auth. Resolves { user, session } or { error }.
+const authenticate = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return { error: 'Invalid token.' };
+  }
+
+  // Access tokens are tied to a session so logout and deactivation take effect immediately
+  const session = decoded.sid && await Session.findById(decoded.sid);
+  if (!session || !session.isActive()) {
+    return { error: 'Session expired or revoked.' };
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  
+  if (!user || !user.isActive) {
+    return { error: 'Invalid token or user inactive.' };
+  }
+
+  return { user, session };
+};
+
+// API keys only work on routes that name the scope they need via allowApiKey()
+const authWithApiKey = async (req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({ message: 'API keys cannot be used for this endpoint.' });
+  }
+
+  const { user, apiKey, error } = await verifyRequestApiKey(req);
+  if (error) {
+    return res.status(401).json({ message: error });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({ message: `API key is missing the ${req.apiKeyScope} scope.` });
+  }
+
+  const rate = consumeRateLimit(apiKey);
+  res.set({
+    'X-RateLimit-Limit': rate.limit,
+    'X-RateLimit-Remaining': rate.remaining,
+    'X-RateLimit-Reset': Math.ceil(rate.resetAt / 1000)
+  });
+  if (!rate.allowed) {
+    res.set('Retry-After', Math.ceil((rate.resetAt - Date.now()) / 1000));
+    return res.status(429).json({ message: 'API key rate limit exceeded.' });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Accepts a user JWT, or an API key on routes opened with allowApiKey()
 const auth = async (req, res, next) => {
   try {
+    if (apiKeyFromRequest(req)) {
+      return await authWithApiKey(req, res, next);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
       return res.status(401).json({ message: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user || !user.isActive) {
-      return res.status(401).json({ message: 'Invalid token or user inactive.' });
+    const { user, session, error } = await authenticate(token);
+    if (error) {
+      return res.status(401).json({ message: error });
     }
 
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Invalid token.' });
   }
 };
 
+// Place before auth to let API keys with this scope call the route
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -32,4 +99,30 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+// Socket.io handshake: a token in auth.token (or the Authorization header)
+// identifies the user. Sockets without one connect as guests, who may only
+// follow an order through its tracking code.
+const socketAuth = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token || header?.replace('Bearer ', '');
+
+    if (!token) {
+      socket.user = null;
+      return next();
+    }
+
+    const { user, session, error } = await authenticate(token);
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.user = user;
+    socket.sessionId = session._id;
+    next();
+  } catch (error) {
+    next(new Error('Invalid token.'));
+  }
+};
+
+module.exports = { auth, allowApiKey, authorize, authenticate, socketAuth };
@@ -0,0 +1,79 @@
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { hashToken } = require('../utils/tokens');
+
+const MAX_KEY_LENGTH = 255;
+// A key still processing after this long belongs to a request that crashed or
+// never answered; a retry may take it over
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Same key must mean same request: route, body and uploaded file names/sizes
+const requestFingerprint = (req, route) => {
+  const files = [].concat(req.file || [], req.files || []).map((file) => [file.originalname, file.size]);
+  return hashToken(JSON.stringify({ route, body: req.body, files }));
+};
+
+// Honour an Idempotency-Key header: the first successful response is stored
+// for 24 hours and replayed to retries, so a client retrying after a timeout
+// does not create the order twice. Failed requests release the key. Runs after
+// auth and body parsing.
+const idempotent = async (req, res, next) => {
+  const key = req.header('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const route = `${req.method} ${req.baseUrl}${req.route.path}`;
+    const requestHash = requestFingerprint(req, route);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({ business: req.user._id, key, route, requestHash });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne({ business: req.user._id, key });
+      if (existing?.status === 'processing' && Date.now() - existing.updatedAt > STALE_PROCESSING_MS) {
+        // Matching updatedAt lets only one of several retries take it over
+        record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', updatedAt: existing.updatedAt },
+          { route, requestHash },
+          { new: true }
+        );
+      }
+
+      if (!record) {
+        if (!existing || existing.status === 'processing') {
+          return res.status(409).json({ message: 'A request with this Idempotency-Key is still in progress' });
+        }
+        if (existing.route !== route || existing.requestHash !== requestHash) {
+          return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const saved = res.statusCode < 300
+        ? IdempotencyKey.updateOne({ _id: record._id }, {
+          status: 'completed',
+          responseStatus: res.statusCode,
+          responseBody: JSON.parse(JSON.stringify(body))
+        })
+        : IdempotencyKey.deleteOne({ _id: record._id });
+      saved.catch((error) => console.error('Idempotency key update error:', error.message));
+      return json(body);
+    };
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// A business's saved customer, reusable when creating orders
+const addressBookEntrySchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, trim: true },
+  email: { type: String, lowercase: true, trim: true },
+  address: { type: String, required: true },
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  notes: String
+}, { timestamps: true });
+
+addressBookEntrySchema.index({ business: 1, name: 1 });
+addressBookEntrySchema.index({ business: 1, phone: 1 });
+
+module.exports = mongoose.model('AddressBookEntry', addressBookEntrySchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['orders:read', 'orders:write'];
+
+// Long-lived credential a business uses for server-to-server calls. Only the
+// hash of the key is stored; the key itself is shown once at creation.
+const apiKeySchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  // First characters of the key, so the business can tell keys apart
+  prefix: { type: String, required: true },
+  keyHash: { type: String, required: true, select: false },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: (scopes) => scopes.length > 0
+  },
+  rateLimitPerMinute: { type: Number, default: 60, min: 1 },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, { timestamps: true });
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ business: 1, createdAt: -1 });
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Single-use emailed token; only its hash is stored
+const authTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: {
+    type: String,
+    enum: ['email_verification', 'password_reset', 'rider_invite'],
+    required: true
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+}, { timestamps: true });
+
+authTokenSchema.index({ user: 1, type: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
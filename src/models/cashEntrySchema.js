@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One movement of cash-on-delivery money held by a rider: collections add to
+// the rider's cash in hand, handovers to the office take it off again
+const cashEntrySchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: {
+    type: String,
+    enum: ['collection', 'handover', 'adjustment'],
+    required: true
+  },
+  // Positive for collections, negative for handovers
+  amount: { type: Number, required: true },
+  currency: String,
+  description: String,
+  reference: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+cashEntrySchema.index({ rider: 1, createdAt: -1 });
+cashEntrySchema.index({ type: 1, createdAt: 1 });
+// Cash for an order is collected at most once
+cashEntrySchema.index(
+  { order: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'collection' } }
+);
+
+module.exports = mongoose.model('CashEntry', cashEntrySchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Cash collected for one business up to periodEnd and paid over to it
+const codRemittanceSchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  periodEnd: { type: Date, required: true },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  orderCount: { type: Number, default: 0 },
+  totalAmount: { type: Number, default: 0 },
+  currency: String,
+  reference: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+codRemittanceSchema.index({ business: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CodRemittance', codRemittanceSchema);
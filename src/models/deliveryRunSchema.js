@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const stopSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  type: { type: String, enum: ['pickup', 'dropoff'], required: true },
+  address: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  sequence: { type: Number, required: true },
+  // Skipped when the order failed or was cancelled before reaching this stop
+  status: { type: String, enum: ['pending', 'completed', 'skipped'], default: 'pending' },
+  completedAt: Date
+});
+
+// Several orders carried by one rider in a single trip, as an ordered list of
+// pickup and dropoff stops
+const deliveryRunSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  vehicleType: { type: String, required: true },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  stops: [stopSchema],
+  totalWeight: { type: Number, default: 0 },
+  // Length of the planned stop sequence, straight-line between stops
+  plannedDistanceKm: Number,
+  status: { type: String, enum: ['active', 'completed'], default: 'active' },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  completedAt: Date
+}, { timestamps: true });
+
+deliveryRunSchema.index({ rider: 1, status: 1 });
+deliveryRunSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DeliveryRun', deliveryRunSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A delivery window on one day in one zone. Capacity follows the number of
+// riders planned for it; `reserved` counts the orders booked into it.
+const deliverySlotSchema = new mongoose.Schema({
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone', required: true },
+  // "HH:mm", local time on the slot's day
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  windowEnd: { type: Date, required: true },
+  riderCount: { type: Number, required: true, min: 0 },
+  ordersPerRider: { type: Number, required: true, min: 1 },
+  capacity: { type: Number, required: true, min: 0 },
+  reserved: { type: Number, default: 0, min: 0 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+deliverySlotSchema.index({ zone: 1, windowStart: 1 }, { unique: true });
+deliverySlotSchema.index({ windowStart: 1, isActive: 1 });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Area served by one pool of riders; delivery slots are planned per zone
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  // GeoJSON polygon, [longitude, latitude] positions
+  area: {
+    type: { type: String, enum: ['Polygon'], default: 'Polygon' },
+    coordinates: { type: [[[Number]]], required: true }
+  },
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+deliveryZoneSchema.index({ area: '2dsphere' });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// One line in a rider's earnings ledger; amounts may be negative for deductions
+const earningEntrySchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  type: {
+    type: String,
+    enum: ['delivery', 'failed_delivery', 'tip', 'adjustment'],
+    required: true
+  },
+  amount: { type: Number, required: true },
+  currency: String,
+  description: String,
+  status: { type: String, enum: ['pending', 'settled'], default: 'pending' },
+  payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch' },
+  settledAt: Date,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+earningEntrySchema.index({ rider: 1, createdAt: -1 });
+earningEntrySchema.index({ status: 1, createdAt: 1 });
+// An order is credited at most once per outcome
+earningEntrySchema.index(
+  { order: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: { $in: ['delivery', 'failed_delivery'] } } }
+);
+
+module.exports = mongoose.model('EarningEntry', earningEntrySchema);
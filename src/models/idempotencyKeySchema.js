@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const RETENTION_HOURS = 24;
+
+// Outcome of a request sent with an Idempotency-Key, replayed when the
+// client retries with the same key
+const idempotencyKeySchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  key: { type: String, required: true },
+  route: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000)
+  }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ business: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 7;
+
+// Progress and outcome of a bulk order import, polled by the business
+const importJobSchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  format: { type: String, enum: ['csv', 'json'], required: true },
+  fileName: String,
+  dryRun: { type: Boolean, default: false },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: { type: Number, default: 0 },
+  processedRows: { type: Number, default: 0 },
+  validRows: { type: Number, default: 0 },
+  insertedCount: { type: Number, default: 0 },
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  // Row numbers are 1-based and do not count the CSV header
+  rowErrors: [{
+    _id: false,
+    row: Number,
+    field: String,
+    message: String
+  }],
+  failureReason: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+importJobSchema.index({ business: 1, createdAt: -1 });
+importJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS, 10) || 90;
+
+// One rider position report. Pings are append-only and expire after the
+// retention period; changing it requires dropping the recordedAt TTL index.
+const locationPingSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Orders the rider was carrying at the time; several during a delivery run
+  orders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Order' }],
+  // Single order of pings recorded before delivery runs; no longer written
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  location: {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true }
+  },
+  recordedAt: { type: Date, default: Date.now }
+});
+
+locationPingSchema.index({ orders: 1, recordedAt: 1 });
+locationPingSchema.index({ order: 1, recordedAt: 1 });
+locationPingSchema.index({ rider: 1, recordedAt: 1 });
+locationPingSchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Delivery log for one outgoing email or SMS, retried until sent or out of attempts
+const notificationSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  channel: { type: String, enum: ['email', 'sms'], required: true },
+  recipientType: { type: String, enum: ['business', 'customer'], required: true },
+  recipient: { type: String, required: true },
+  subject: String,
+  body: { type: String, required: true },
+  html: String,
+  status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  provider: String,
+  providerMessageId: String,
+  sentAt: Date
+}, { timestamps: true });
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ business: 1, createdAt: -1 });
+notificationSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// One stretch of time a rider was online; endedAt is unset while it lasts
+const onlineSessionSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  startedAt: { type: Date, required: true },
+  endedAt: Date,
+  // Shift the rider went online for; unset when they had none at the time
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'Shift' },
+  outsideShift: { type: Boolean, default: false }
+}, { timestamps: true });
+
+onlineSessionSchema.index({ rider: 1, startedAt: -1 });
+onlineSessionSchema.index({ rider: 1, endedAt: 1 });
+onlineSessionSchema.index({ startedAt: 1, endedAt: 1 });
+
+module.exports = mongoose.model('OnlineSession', onlineSessionSchema);
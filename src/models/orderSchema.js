@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+const { deliveryWindowFor } = require('../utils/deliverySlots');
+
+const locationSchema = new mongoose.Schema({
+  address: { type: String, required: true },
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  }
+}, { _id: false });
+
+const timelineSchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  notes: String,
+  location: {
+    latitude: Number,
+    longitude: Number
+  }
+});
+
+const orderSchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Unguessable code that opens the public tracking view for the customer
+  trackingCode: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  // Lets the customer rate the delivery; only sent to them with the delivered SMS
+  ratingToken: {
+    type: String,
+    select: false,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deliveryRun: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRun' },
+  pickupLocation: { type: locationSchema, required: true },
+  dropoffLocation: { type: locationSchema, required: true },
+  deliveryDate: { type: Date, required: true },
+  deliveryTime: { type: String, required: true },
+  // Booked delivery slot; deliveryDate and deliveryTime then mirror its window
+  deliverySlot: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliverySlot' },
+  // Requested window as times: the slot's, or parsed from a free-text deliveryTime
+  deliveryWindow: {
+    start: Date,
+    end: Date
+  },
+  customer: {
+    name: { type: String, required: true },
+    phone: { type: String, required: true }
+  },
+  product: {
+    description: { type: String, required: true },
+    weight: { type: Number, required: true },
+    images: [String]
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  timeline: [timelineSchema],
+  dispatch: {
+    mode: { type: String, enum: ['manual', 'auto'], default: 'manual' },
+    status: { type: String, enum: ['idle', 'searching', 'offered', 'accepted', 'exhausted'], default: 'idle' },
+    offeredTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    offerExpiresAt: Date,
+    declinedRiders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    attempts: { type: Number, default: 0 }
+  },
+  deliveryOtp: {
+    code: { type: String, select: false },
+    issuedAt: Date,
+    attempts: { type: Number, default: 0 },
+    verifiedAt: Date
+  },
+  proofOfDelivery: {
+    photo: String,
+    signature: String,
+    recipientName: String,
+    otpVerified: { type: Boolean, default: false },
+    notes: String,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    submittedAt: Date
+  },
+  failureReason: String,
+  cancellationReason: String,
+  cancelledAt: Date,
+  actualDeliveryTime: Date,
+  // Latest arrival estimate while a rider is on the way; cleared when the order ends
+  eta: {
+    target: { type: String, enum: ['pickup', 'dropoff'] },
+    pickupAt: Date,
+    dropoffAt: Date,
+    distanceKm: Number,
+    speedKmh: Number,
+    windowEnd: Date,
+    late: { type: Boolean, default: false },
+    calculatedAt: Date
+  },
+  pricing: {
+    distanceKm: Number,
+    // No coordinates to price the distance with; the order cannot be paid yet
+    distanceUnknown: Boolean,
+    vehicleType: String,
+    baseFare: Number,
+    distanceFare: Number,
+    weightFare: Number,
+    vehicleMultiplier: Number,
+    surcharges: [{ _id: false, name: String, amount: Number }],
+    total: Number,
+    currency: String,
+    quotedAt: Date
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'failed', 'refunded'],
+    default: 'pending'
+  },
+  // Cash the rider collects from the customer on behalf of the business
+  cashOnDelivery: {
+    amount: Number,
+    collectedAmount: Number,
+    collectedAt: Date,
+    remittance: { type: mongoose.Schema.Types.ObjectId, ref: 'CodRemittance' },
+    remittedAt: Date
+  },
+  payment: {
+    paymentIntentId: String,
+    amount: Number,
+    currency: String,
+    paidAt: Date,
+    // Running total refunded; the order only counts as refunded once it covers the charge
+    refundedAmount: Number,
+    refundedAt: Date,
+    lastEventId: String
+  }
+}, { timestamps: true });
+
+orderSchema.index({ business: 1, createdAt: -1 });
+orderSchema.index({ rider: 1, status: 1 });
+orderSchema.index({ 'dispatch.status': 1, 'dispatch.offerExpiresAt': 1 });
+orderSchema.index({ 'eta.late': 1, status: 1 });
+orderSchema.index({ trackingCode: 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'payment.paymentIntentId': 1 }, { sparse: true });
+orderSchema.index({ deliverySlot: 1 });
+orderSchema.index({ business: 1, 'cashOnDelivery.remittance': 1, 'cashOnDelivery.collectedAt': 1 });
+orderSchema.index({ 'deliveryWindow.start': 1 });
+
+orderSchema.pre('validate', function(next) {
+  const timeChanged = this.isModified('deliveryDate') || this.isModified('deliveryTime');
+  if (!this.deliverySlot && (this.isNew || timeChanged)) {
+    this.deliveryWindow = deliveryWindowFor(this.deliveryDate, this.deliveryTime);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const riderPayoutSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  entryCount: { type: Number, required: true }
+}, { _id: false });
+
+// A settlement run covering all pending ledger entries up to periodEnd
+const payoutBatchSchema = new mongoose.Schema({
+  periodEnd: { type: Date, required: true },
+  riders: [riderPayoutSchema],
+  totalAmount: { type: Number, default: 0 },
+  entryCount: { type: Number, default: 0 },
+  reference: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+payoutBatchSchema.index({ 'riders.rider': 1, createdAt: -1 });
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
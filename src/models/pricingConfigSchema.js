@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const windowSurchargeSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  // Local "HH:mm" range the requested delivery window must start in
+  from: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+  to: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Admin-editable delivery pricing; the most recent document is the active one
+const pricingConfigSchema = new mongoose.Schema({
+  currency: { type: String, default: () => (process.env.STRIPE_CURRENCY || 'usd').toLowerCase() },
+  baseFare: { type: Number, default: 20, min: 0 },
+  includedKm: { type: Number, default: 3, min: 0 },
+  perKm: { type: Number, default: 2, min: 0 },
+  includedWeightKg: { type: Number, default: 5, min: 0 },
+  perKg: { type: Number, default: 1, min: 0 },
+  minimumFare: { type: Number, default: 30, min: 0 },
+  vehicleMultipliers: {
+    type: Map,
+    of: Number,
+    default: () => ({ bike: 1, car: 1.5, van: 2.5 })
+  },
+  sameDaySurcharge: { type: Number, default: 10, min: 0 },
+  windowSurcharges: {
+    type: [windowSurchargeSchema],
+    default: () => [{ label: 'Late night', from: '22:00', to: '23:59', amount: 15 }]
+  },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Feedback on one delivered order, from the business or the tracked customer
+const ratingSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  source: { type: String, enum: ['business', 'customer'], required: true },
+  score: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, trim: true },
+  // Hidden ratings are kept but left out of the rider's averages
+  status: { type: String, enum: ['published', 'hidden'], default: 'published' },
+  moderation: {
+    note: String,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date
+  }
+}, { timestamps: true });
+
+ratingSchema.index({ order: 1, source: 1 }, { unique: true });
+ratingSchema.index({ rider: 1, status: 1, createdAt: -1 });
+ratingSchema.index({ status: 1, score: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const riderLocationSchema = new mongoose.Schema({
+  rider: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  location: {
+    latitude: { type: Number, default: 0 },
+    longitude: { type: Number, default: 0 }
+  },
+  // GeoJSON copy of `location` for 2dsphere queries; kept in sync by the hooks below
+  point: {
+    type: { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], default: [0, 0] }
+  },
+  isOnline: { type: Boolean, default: false },
+  currentOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  // Delivery run in progress; currentOrder then points at the order of its next stop
+  currentRun: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryRun' },
+  // Order currently offered to this rider by auto dispatch
+  offeredOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }
+}, { timestamps: true });
+
+riderLocationSchema.index({ point: '2dsphere' });
+riderLocationSchema.index({ isOnline: 1, currentOrder: 1 });
+
+const toPoint = (location) => ({
+  type: 'Point',
+  coordinates: [Number(location.longitude) || 0, Number(location.latitude) || 0]
+});
+
+riderLocationSchema.pre('save', function(next) {
+  if (this.isModified('location')) {
+    this.point = toPoint(this.location);
+  }
+  next();
+});
+
+riderLocationSchema.pre(['findOneAndUpdate', 'updateOne'], function(next) {
+  const update = this.getUpdate();
+  const location = update.location || update.$set?.location;
+  if (location) {
+    update.$set = { ...update.$set, point: toPoint(location) };
+  }
+  next();
+});
+
+module.exports = mongoose.model('RiderLocation', riderLocationSchema);
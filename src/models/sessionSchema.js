@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// One signed-in device; the refresh token rotates on every use
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  // Hashes of tokens already rotated out, to detect a stolen token being replayed
+  rotatedTokenHashes: [String],
+  userAgent: String,
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: Date,
+  revokedReason: String
+}, { timestamps: true });
+
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ rotatedTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A block of working time published by admins; riders claim the open places
+const shiftSchema = new mongoose.Schema({
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone' },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+  riderSlots: { type: Number, required: true, min: 1 },
+  riders: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  status: { type: String, enum: ['published', 'cancelled'], default: 'published' },
+  notes: String,
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+shiftSchema.index({ status: 1, startsAt: 1 });
+shiftSchema.index({ riders: 1, startsAt: 1 });
+
+module.exports = mongoose.model('Shift', shiftSchema);
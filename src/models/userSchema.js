@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const pickupLocationSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  address: { type: String, required: true },
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  },
+  contactName: String,
+  contactPhone: String,
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true },
+  role: { type: String, enum: ['business', 'rider', 'admin'], required: true },
+  profile: {
+    name: String,
+    phone: String,
+    address: String,
+    avatar: String
+  },
+  businessInfo: {
+    businessName: String,
+    businessType: String,
+    description: String,
+    website: String,
+    logo: String,
+    pickupLocations: [pickupLocationSchema],
+    // Order events (see utils/orderEvents) each audience is notified about
+    notificationSettings: {
+      businessEmailEvents: {
+        type: [String],
+        default: () => ['assigned', 'picked_up', 'delivered', 'failed']
+      },
+      customerSmsEvents: { type: [String], default: () => [] }
+    }
+  },
+  riderInfo: {
+    licenseNumber: String,
+    vehicleType: String,
+    vehicleNumber: String,
+    emergencyContact: {
+      name: String,
+      phone: String
+    },
+    // Averages of published ratings, kept current by utils/ratings
+    rating: {
+      average: Number,
+      count: Number,
+      recentAverage: Number,
+      updatedAt: Date
+    },
+    // Set by an admin to put the rider under review
+    flag: {
+      flagged: Boolean,
+      reason: String,
+      flaggedAt: Date,
+      flaggedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }
+  },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: Date,
+  isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = 30;
+
+// One event sent (or being retried) to a webhook endpoint. Replays are new
+// deliveries with the same event id and payload.
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  event: { type: String, required: true },
+  eventId: { type: String, required: true },
+  url: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  responseStatus: Number,
+  durationMs: Number,
+  lastError: String,
+  deliveredAt: Date,
+  replayOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ business: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
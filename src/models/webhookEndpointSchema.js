@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { ORDER_EVENTS } = require('../utils/orderEvents');
+
+// A URL a business registered to receive order events
+const webhookEndpointSchema = new mongoose.Schema({
+  business: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true },
+  description: String,
+  events: {
+    type: [{ type: String, enum: ORDER_EVENTS }],
+    default: () => [...ORDER_EVENTS]
+  },
+  // Shared secret for the HMAC signature; only shown when created or rotated
+  secret: { type: String, required: true, select: false },
+  isActive: { type: Boolean, default: true },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed'] }
+}, { timestamps: true });
+
+webhookEndpointSchema.index({ business: 1, isActive: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
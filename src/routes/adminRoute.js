@@ -1,17 +1,70 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const RiderLocation = require('../models/RiderLocation');
 const { auth, authorize } = require('../middleware/auth');
+const { ACTIVE_STATUSES, canTransition, transitionError, applyTransition, releaseRider } = require('../utils/orderStatus');
+const { hasCoordinates, startAutoDispatch, declineOffer, releaseOffer } = require('../utils/dispatch');
+const { roundMoney, getPricingConfig } = require('../utils/pricing');
+const { DEFAULT_DELIVERY_FEE } = require('../utils/stripe');
+const PricingConfig = require('../models/PricingConfig');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const ApiKey = require('../models/ApiKey');
+const DeliveryRun = require('../models/DeliveryRun');
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySlot = require('../models/DeliverySlot');
+const CashEntry = require('../models/CashEntry');
+const CodRemittance = require('../models/CodRemittance');
+const Rating = require('../models/Rating');
+const Shift = require('../models/Shift');
+const OnlineSession = require('../models/OnlineSession');
+const { earningsTotals, runPayoutBatch } = require('../utils/earnings');
+const { cashBalance, cashReconciliation, runCodRemittance } = require('../utils/cash');
+const { LOW_RATING_THRESHOLD, updateRiderRating } = require('../utils/ratings');
+const { shiftReport } = require('../utils/shifts');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendRiderInvite } = require('../utils/authTokens');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { issueDeliveryOtp } = require('../utils/proofOfDelivery');
+const { refreshEta } = require('../utils/eta');
+const { FLEET_STATUSES, parseBoundingBox, fleetSnapshot } = require('../utils/fleet');
+const { orderRoute } = require('../utils/locationHistory');
+const {
+  DEFAULT_ORDERS_PER_RIDER, TIME_PATTERN, atTime, polygonFromRing, slotView
+} = require('../utils/deliverySlots');
+const {
+  runVehicle, totalWeight, capacityError, stopsForOrder, sortedStops, nextStop, resequenceRun
+} = require('../utils/deliveryRuns');
+const { orderListQuery, streamOrdersCsv, exportFilename } = require('../utils/orderExport');
+const { sendPdf, monthRange, renderBusinessStatement } = require('../utils/pdfReports');
+const crypto = require('crypto');
 const moment = require('moment');
 
 const router = express.Router();
 
+// Sum of what paid orders were charged; older orders fall back to the flat fee
+const paidRevenue = async (match = {}) => {
+  const [result] = await Order.aggregate([
+    { $match: { paymentStatus: 'paid', ...match } },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: { $ifNull: ['$payment.amount', { $ifNull: ['$pricing.total', DEFAULT_DELIVERY_FEE] }] }
+        }
+      }
+    }
+  ]);
+  return result ? Math.round(result.total * 100) / 100 : 0;
+};
+
 // Create rider account
 router.post('/riders', auth, authorize('admin'), async (req, res) => {
   try {
     const {
-      email, password, name, phone, address,
+      email, name, phone, address,
       licenseNumber, vehicleType, vehicleNumber, emergencyContact
     } = req.body;
 
@@ -20,9 +73,10 @@ router.post('/riders', auth, authorize('admin'), async (req, res) => {
       return res.status(400).json({ message: 'Email already exists' });
     }
 
+    // The rider sets their own password from the invitation email
     const rider = new User({
       email,
-      password,
+      password: crypto.randomBytes(32).toString('hex'),
       role: 'rider',
       profile: { name, phone, address },
       riderInfo: {
@@ -42,8 +96,17 @@ router.post('/riders', auth, authorize('admin'), async (req, res) => {
       isOnline: false
     }).save();
 
+    let inviteSent = true;
+    try {
+      await sendRiderInvite(rider);
+    } catch (error) {
+      console.log('Rider invite email error:', error.message);
+      inviteSent = false;
+    }
+
     res.status(201).json({
       message: 'Rider created successfully',
+      inviteSent,
       rider: {
         id: rider._id,
         email: rider.email,
@@ -57,38 +120,84 @@ router.post('/riders', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+// Resend a rider's invitation email
+router.post('/riders/:riderId/resend-invite', auth, authorize('admin'), async (req, res) => {
+  try {
+    const rider = await User.findOne({ _id: req.params.riderId, role: 'rider' });
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
+
+    if (rider.emailVerified) {
+      return res.status(400).json({ message: 'Rider has already accepted the invitation' });
+    }
+
+    await sendRiderInvite(rider);
+
+    res.json({ message: 'Invitation sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Orderings for the rider list; riders without ratings sort last either way
+const RIDER_SORTS = {
+  newest: { createdAt: -1 },
+  rating: { hasRating: -1, 'riderInfo.rating.recentAverage': -1, createdAt: -1 },
+  '-rating': { hasRating: -1, 'riderInfo.rating.recentAverage': 1, createdAt: -1 }
+};
+
 // Get all riders
 router.get('/riders', auth, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { page = 1, limit = 10, status, flagged, lowRated, sort = 'newest' } = req.query;
     const query = { role: 'rider' };
     
     if (status) {
       query.isActive = status === 'active';
     }
+    if (flagged === 'true') {
+      query['riderInfo.flag.flagged'] = true;
+    }
+    if (lowRated === 'true') {
+      query['riderInfo.rating.recentAverage'] = { $lt: LOW_RATING_THRESHOLD };
+    }
 
-    const riders = await User.find(query)
-      .select('-password')
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
+    if (!RIDER_SORTS[sort]) {
+      return res.status(400).json({ message: `sort must be one of: ${Object.keys(RIDER_SORTS).join(', ')}` });
+    }
 
     const total = await User.countDocuments(query);
 
-    // Get rider locations and current orders
-    const ridersWithStatus = await Promise.all(riders.map(async (rider) => {
-      const location = await RiderLocation.findOne({ rider: rider._id });
-      const currentOrder = await Order.findOne({ 
-        rider: rider._id, 
-        status: { $in: ['assigned', 'picked_up', 'in_transit'] }
-      });
+    // Location and active order are joined in the same query rather than per rider
+    const riders = await User.aggregate([
+      { $match: query },
+      { $addFields: { hasRating: { $gt: ['$riderInfo.rating.count', 0] } } },
+      { $sort: RIDER_SORTS[sort] },
+      { $skip: (page - 1) * limit },
+      { $limit: limit * 1 },
+      { $project: { password: 0, hasRating: 0 } },
+      { $lookup: { from: 'riderlocations', localField: '_id', foreignField: 'rider', as: 'location' } },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: '_id',
+          foreignField: 'rider',
+          as: 'activeOrders',
+          pipeline: [
+            { $match: { status: { $in: ACTIVE_STATUSES } } },
+            { $project: { status: 1 } }
+          ]
+        }
+      }
+    ]);
 
-      return {
-        ...rider.toObject(),
-        isOnline: location?.isOnline || false,
-        currentLocation: location?.location,
-        hasActiveOrder: !!currentOrder
-      };
+    const ridersWithStatus = riders.map(({ location: [location], activeOrders, ...rider }) => ({
+      ...rider,
+      isOnline: location?.isOnline || false,
+      currentLocation: location?.location,
+      hasActiveOrder: activeOrders.length > 0,
+      lowRated: rider.riderInfo?.rating?.count > 0 && rider.riderInfo.rating.recentAverage < LOW_RATING_THRESHOLD
     }));
 
     res.json({
@@ -104,6 +213,127 @@ router.get('/riders', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+// Put a rider under review, or clear the flag
+router.patch('/riders/:riderId/flag', auth, authorize('admin'), [
+  body('flagged').isBoolean(),
+  body('reason').if(body('flagged').equals('true')).notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const flagged = req.body.flagged === true || req.body.flagged === 'true';
+    const rider = await User.findOneAndUpdate(
+      { _id: req.params.riderId, role: 'rider' },
+      flagged
+        ? { 'riderInfo.flag': { flagged, reason: req.body.reason, flaggedAt: new Date(), flaggedBy: req.user._id } }
+        : { $unset: { 'riderInfo.flag': 1 } },
+      { new: true }
+    ).select('-password');
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
+
+    res.json({ message: flagged ? 'Rider flagged for review' : 'Rider flag cleared', rider });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Ratings to review, lowest scores first when filtering by maxScore
+router.get('/ratings', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { riderId, status, source, maxScore, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (riderId) query.rider = riderId;
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (maxScore) query.score = { $lte: parseInt(maxScore, 10) };
+
+    const ratings = await Rating.find(query)
+      .populate('order', 'trackingCode')
+      .populate('rider', 'profile.name')
+      .populate('business', 'businessInfo.businessName')
+      .sort(maxScore ? { score: 1, createdAt: -1 } : { createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Rating.countDocuments(query);
+
+    res.json({
+      ratings,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Hide an abusive or mistaken rating from the rider's averages, or publish it again
+router.patch('/ratings/:ratingId', auth, authorize('admin'), [
+  body('status').isIn(['published', 'hidden']),
+  body('note').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rating = await Rating.findByIdAndUpdate(
+      req.params.ratingId,
+      {
+        status: req.body.status,
+        moderation: { note: req.body.note, moderatedBy: req.user._id, moderatedAt: new Date() }
+      },
+      { new: true }
+    );
+    if (!rating) {
+      return res.status(404).json({ message: 'Rating not found' });
+    }
+
+    const riderRating = await updateRiderRating(rating.rider);
+
+    res.json({ message: 'Rating updated', rating, riderRating });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Live fleet map: online riders with status and current order. The optional
+// bbox (minLng,minLat,maxLng,maxLat) limits results to the map viewport;
+// subsequent moves arrive over the socket 'fleet-update' event.
+router.get('/fleet', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { bbox, status } = req.query;
+
+    const box = parseBoundingBox(bbox);
+    if (bbox && !box) {
+      return res.status(400).json({ message: 'bbox must be minLng,minLat,maxLng,maxLat' });
+    }
+    if (status && !FLEET_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of ${FLEET_STATUSES.join(', ')}` });
+    }
+
+    const riders = await fleetSnapshot({ box, status });
+    const counts = FLEET_STATUSES.reduce((acc, key) => {
+      acc[key] = riders.filter((rider) => rider.status === key).length;
+      return acc;
+    }, {});
+
+    res.json({ riders, counts, total: riders.length, generatedAt: new Date() });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Assign order to rider
 router.post('/orders/:orderId/assign', auth, authorize('admin'), async (req, res) => {
   try {
@@ -114,6 +344,20 @@ router.post('/orders/:orderId/assign', auth, authorize('admin'), async (req, res
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    if (!canTransition(order.status, 'assigned')) {
+      return res.status(409).json({ message: transitionError(order.status, 'assigned') });
+    }
+
+    if (order.deliveryRun) {
+      return res.status(409).json({ message: 'Order is part of a delivery run' });
+    }
+
+    const previousRider = order.rider;
+    const isReassignment = order.status === 'assigned';
+    if (isReassignment && previousRider.equals(riderId)) {
+      return res.status(400).json({ message: 'Order is already assigned to this rider' });
+    }
+
     const rider = await User.findOne({ _id: riderId, role: 'rider', isActive: true });
     if (!rider) {
       return res.status(404).json({ message: 'Rider not found or inactive' });
@@ -129,53 +373,143 @@ router.post('/orders/:orderId/assign', auth, authorize('admin'), async (req, res
       return res.status(400).json({ message: 'Rider already has an active order' });
     }
 
+    // Manual assignment overrides any running auto dispatch
+    await releaseOffer(order);
+    const riderLocation = await RiderLocation.findOne({ rider: riderId });
+    if (riderLocation?.offeredOrder && !riderLocation.offeredOrder.equals(order._id)) {
+      await declineOffer(riderLocation.offeredOrder, riderId);
+    }
+    order.dispatch.mode = 'manual';
+    order.dispatch.status = 'accepted';
+
     order.rider = riderId;
-    order.status = 'assigned';
-    order.timeline.push({
-      status: 'assigned',
-      timestamp: new Date(),
-      notes: 'Order assigned to rider'
+    applyTransition(order, 'assigned', {
+      notes: isReassignment ? 'Order reassigned to another rider' : 'Order assigned to rider'
     });
 
     await order.save();
 
+    if (isReassignment) {
+      await releaseRider(previousRider, order._id);
+    }
+
     // Update rider location with current order
     await RiderLocation.findOneAndUpdate(
       { rider: riderId },
       { currentOrder: order._id }
     );
 
+    global.io.to(`order-${order._id}`).emit('status-update', {
+      orderId: order._id,
+      status: 'assigned',
+      timestamp: new Date(),
+      eta: await refreshEta(order)
+    });
+    publishOrderEvent('assigned', order, { reassigned: isReassignment });
+
     res.json({ message: 'Order assigned successfully', order });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Get all orders for admin
-router.get('/orders', auth, authorize('admin'), async (req, res) => {
+// Add a tip or manual adjustment to a rider's earnings
+router.post('/riders/:riderId/earnings', auth, authorize('admin'), [
+  body('type').isIn(['tip', 'adjustment']),
+  body('amount').isFloat().custom((value) => parseFloat(value) !== 0),
+  body('description').notEmpty(),
+  body('orderId').optional().isMongoId()
+], async (req, res) => {
   try {
-    const { status, page = 1, limit = 10, dateFrom, dateTo } = req.query;
-    const query = {};
-    
-    if (status) query.status = status;
-    
-    if (dateFrom || dateTo) {
-      query.createdAt = {};
-      if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
-      if (dateTo) query.createdAt.$lte = new Date(dateTo);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const orders = await Order.find(query)
-      .populate('business', 'profile businessInfo')
-      .populate('rider', 'profile riderInfo')
+    const rider = await User.findOne({ _id: req.params.riderId, role: 'rider' });
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
+
+    const { type, amount, description, orderId } = req.body;
+
+    if (type === 'tip' && parseFloat(amount) < 0) {
+      return res.status(400).json({ message: 'Tips must be positive' });
+    }
+
+    const entry = await new EarningEntry({
+      rider: rider._id,
+      order: orderId,
+      type,
+      amount: parseFloat(amount),
+      description,
+      createdBy: req.user._id
+    }).save();
+
+    res.status(201).json({ message: 'Earnings entry added', entry });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a rider's earnings totals and unsettled entries
+router.get('/riders/:riderId/earnings', auth, authorize('admin'), async (req, res) => {
+  try {
+    const pendingEntries = await EarningEntry.find({ rider: req.params.riderId, status: 'pending' })
+      .sort({ createdAt: -1 });
+
+    res.json({ totals: await earningsTotals(req.params.riderId), pendingEntries });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Run a payout batch; defaults to everything before the start of this week
+router.post('/payouts', auth, authorize('admin'), [
+  body('periodEnd').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const periodEnd = req.body.periodEnd
+      ? new Date(req.body.periodEnd)
+      : moment().startOf('week').toDate();
+
+    const pending = await EarningEntry.countDocuments({ status: 'pending', createdAt: { $lt: periodEnd } });
+    if (pending === 0) {
+      return res.status(400).json({ message: 'No pending earnings in this period' });
+    }
+
+    const batch = await runPayoutBatch({
+      periodEnd,
+      reference: req.body.reference,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({ message: 'Payout batch settled', batch });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get payout batches
+router.get('/payouts', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const batches = await PayoutBatch.find()
+      .select('-riders')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Order.countDocuments(query);
+    const total = await PayoutBatch.countDocuments();
 
     res.json({
-      orders,
+      batches,
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -187,105 +521,96 @@ router.get('/orders', auth, authorize('admin'), async (req, res) => {
   }
 });
 
-// Get dashboard statistics
-router.get('/dashboard/stats', auth, authorize('admin'), async (req, res) => {
+// Get payout batch details
+router.get('/payouts/:batchId', auth, authorize('admin'), async (req, res) => {
   try {
-    const today = moment().startOf('day');
-    const thisWeek = moment().startOf('week');
-    const thisMonth = moment().startOf('month');
+    const batch = await PayoutBatch.findById(req.params.batchId)
+      .populate('riders.rider', 'email profile riderInfo');
 
-    const stats = {
-      users: {
-        total: await User.countDocuments(),
-        businesses: await User.countDocuments({ role: 'business' }),
-        riders: await User.countDocuments({ role: 'rider' }),
-        activeRiders: await RiderLocation.countDocuments({ isOnline: true })
-      },
-      orders: {
-        total: await Order.countDocuments(),
-        today: await Order.countDocuments({ createdAt: { $gte: today.toDate() } }),
-        thisWeek: await Order.countDocuments({ createdAt: { $gte: thisWeek.toDate() } }),
-        thisMonth: await Order.countDocuments({ createdAt: { $gte: thisMonth.toDate() } }),
-        pending: await Order.countDocuments({ status: 'pending' }),
-        inProgress: await Order.countDocuments({ 
-          status: { $in: ['assigned', 'picked_up', 'in_transit'] }
-        }),
-        completed: await Order.countDocuments({ status: 'delivered' }),
-        cancelled: await Order.countDocuments({ status: { $in: ['cancelled', 'failed'] } })
-      },
-      revenue: {
-        total: (await Order.countDocuments({ paymentStatus: 'paid' })) * 30,
-        thisMonth: (await Order.countDocuments({ 
-          paymentStatus: 'paid',
-          createdAt: { $gte: thisMonth.toDate() }
-        })) * 30
-      }
-    };
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
 
-    res.json({ stats });
+    res.json({ batch });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Block/Unblock user
-router.patch('/users/:userId/toggle-status', auth, authorize('admin'), async (req, res) => {
+// Record cash a rider handed in, or correct their cash in hand
+router.post('/riders/:riderId/cash', auth, authorize('admin'), [
+  body('type').isIn(['handover', 'adjustment']),
+  body('amount').isFloat().custom((value) => parseFloat(value) !== 0),
+  body('description').optional().notEmpty(),
+  body('reference').optional().notEmpty()
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    user.isActive = !user.isActive;
-    await user.save();
+    const rider = await User.findOne({ _id: req.params.riderId, role: 'rider' });
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found' });
+    }
 
-    res.json({ 
-      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
-      user: {
-        id: user._id,
-        email: user.email,
-        isActive: user.isActive
+    const { type, description, reference } = req.body;
+    const amount = roundMoney(parseFloat(req.body.amount));
+
+    if (type === 'handover') {
+      if (amount < 0) {
+        return res.status(400).json({ message: 'Handover amounts must be positive' });
       }
-    });
+      const { balance } = await cashBalance(rider._id);
+      if (amount > balance) {
+        return res.status(400).json({ message: `Rider only holds ${balance} in cash` });
+      }
+    } else if (!description) {
+      return res.status(400).json({ message: 'Adjustments need a description' });
+    }
+
+    // Handovers take cash out of the rider's hands
+    const entry = await new CashEntry({
+      rider: rider._id,
+      type,
+      amount: type === 'handover' ? -amount : amount,
+      description: description || 'Cash handed over',
+      reference,
+      createdBy: req.user._id
+    }).save();
+
+    // A concurrent handover may have taken the same cash; undo this one if so
+    const totals = await cashBalance(rider._id);
+    if (type === 'handover' && totals.balance < 0) {
+      await CashEntry.deleteOne({ _id: entry._id });
+      return res.status(409).json({ message: 'Rider cash changed while recording the handover; check the balance and try again' });
+    }
+
+    res.status(201).json({ message: 'Cash entry recorded', entry, totals });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// # Get all businesses
-router.get('/businesses', auth, authorize('admin'), async (req, res) => {
+// A rider's cash in hand and the movements behind it
+router.get('/riders/:riderId/cash', auth, authorize('admin'), async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
-    const query = { role: 'business' };
-    
-    if (status) {
-      query.isActive = status === 'active';
-    }
+    const { page = 1, limit = 20 } = req.query;
+    const query = { rider: req.params.riderId };
 
-    const businesses = await User.find(query)
-      .select('-password')
+    const entries = await CashEntry.find(query)
+      .populate('order', 'trackingCode cashOnDelivery')
+      .populate('createdBy', 'profile.name')
+      .sort({ createdAt: -1 })
       .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .sort({ createdAt: -1 });
-
-    const total = await User.countDocuments(query);
-
-    // Get order statistics for each business
-    const businessesWithStats = await Promise.all(businesses.map(async (business) => {
-      const orderStats = {
-        total: await Order.countDocuments({ business: business._id }),
-        completed: await Order.countDocuments({ business: business._id, status: 'delivered' }),
-        pending: await Order.countDocuments({ business: business._id, status: 'pending' })
-      };
+      .skip((page - 1) * limit);
 
-      return {
-        ...business.toObject(),
-        orderStats
-      };
-    }));
+    const total = await CashEntry.countDocuments(query);
 
     res.json({
-      businesses: businessesWithStats,
+      totals: await cashBalance(req.params.riderId),
+      entries,
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -297,4 +622,1014 @@ router.get('/businesses', auth, authorize('admin'), async (req, res) => {
   }
 });
 
+// Cash expected, collected and handed in per rider; defaults to this month
+router.get('/cash/reconciliation', auth, authorize('admin'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : moment().startOf('month').toDate();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+
+    const rows = await cashReconciliation({ from, to });
+    const riders = await User.find({ _id: { $in: rows.map((row) => row.rider) } }).select('email profile');
+    const byId = new Map(riders.map((rider) => [String(rider._id), rider]));
+
+    res.json({
+      from,
+      to,
+      riders: rows.map((row) => ({ ...row, rider: byId.get(String(row.rider)) || row.rider }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Pay a business the cash collected for it; defaults to everything collected before today
+router.post('/businesses/:businessId/cod-remittances', auth, authorize('admin'), [
+  body('periodEnd').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const business = await User.findOne({ _id: req.params.businessId, role: 'business' });
+    if (!business) {
+      return res.status(404).json({ message: 'Business not found' });
+    }
+
+    const periodEnd = req.body.periodEnd
+      ? new Date(req.body.periodEnd)
+      : moment().startOf('day').toDate();
+
+    const remittance = await runCodRemittance({
+      business: business._id,
+      periodEnd,
+      reference: req.body.reference,
+      createdBy: req.user._id
+    });
+    if (!remittance) {
+      return res.status(400).json({ message: 'No collected cash to remit in this period' });
+    }
+
+    res.status(201).json({ message: 'Cash remittance recorded', remittance });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get cash remittances to businesses
+router.get('/cod-remittances', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { businessId, page = 1, limit = 10 } = req.query;
+    const query = businessId ? { business: businessId } : {};
+
+    const remittances = await CodRemittance.find(query)
+      .select('-orders')
+      .populate('business', 'businessInfo.businessName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CodRemittance.countDocuments(query);
+
+    res.json({
+      remittances,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Hand an order to auto dispatch
+router.post('/orders/:orderId/auto-assign', auth, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(409).json({ message: 'Only pending orders can be auto-assigned' });
+    }
+
+    if (!hasCoordinates(order.pickupLocation)) {
+      return res.status(400).json({ message: 'Order has no pickup coordinates' });
+    }
+
+    const candidate = await startAutoDispatch(order._id);
+
+    res.json({
+      message: candidate ? 'Order offered to nearest rider' : 'No rider available yet, still searching',
+      order: await Order.findById(order._id).select('status dispatch')
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Give one rider several pending orders to carry in a single trip. Stops are
+// sequenced from the rider's position to keep the driven distance short.
+router.post('/runs', auth, authorize('admin'), [
+  body('riderId').isMongoId(),
+  body('orderIds').isArray({ min: 2 }),
+  body('orderIds.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { riderId } = req.body;
+    const orderIds = [...new Set(req.body.orderIds.map(String))];
+
+    const rider = await User.findOne({ _id: riderId, role: 'rider', isActive: true });
+    if (!rider) {
+      return res.status(404).json({ message: 'Rider not found or inactive' });
+    }
+
+    const activeOrder = await Order.exists({ rider: riderId, status: { $in: ACTIVE_STATUSES } });
+    const activeRun = await DeliveryRun.exists({ rider: riderId, status: 'active' });
+    if (activeOrder || activeRun) {
+      return res.status(400).json({ message: 'Rider already has an active order or run' });
+    }
+
+    const orders = await Order.find({ _id: { $in: orderIds } });
+    if (orders.length !== orderIds.length) {
+      return res.status(404).json({ message: 'One or more orders not found' });
+    }
+
+    const unavailable = orders.find((order) => order.status !== 'pending' || order.deliveryRun);
+    if (unavailable) {
+      return res.status(409).json({ message: `Order ${unavailable._id} is not pending or already on a run` });
+    }
+
+    const unlocated = orders.find((order) => !hasCoordinates(order.pickupLocation) || !hasCoordinates(order.dropoffLocation));
+    if (unlocated) {
+      return res.status(400).json({ message: `Order ${unlocated._id} has no pickup or dropoff coordinates` });
+    }
+
+    const overCapacity = capacityError(rider.riderInfo?.vehicleType, orders);
+    if (overCapacity) {
+      return res.status(400).json({ message: overCapacity });
+    }
+
+    const riderLocation = await RiderLocation.findOne({ rider: riderId });
+    if (riderLocation?.offeredOrder && !orderIds.includes(String(riderLocation.offeredOrder))) {
+      await declineOffer(riderLocation.offeredOrder, riderId);
+    }
+
+    const run = new DeliveryRun({
+      rider: riderId,
+      vehicleType: runVehicle(rider.riderInfo?.vehicleType),
+      orders: orders.map((order) => order._id),
+      stops: orders.flatMap(stopsForOrder),
+      totalWeight: totalWeight(orders),
+      createdBy: req.user._id
+    });
+    resequenceRun(run, riderLocation?.location);
+    await run.save();
+
+    // Manual assignment overrides any running auto dispatch
+    for (const order of orders) {
+      await releaseOffer(order);
+      order.dispatch.mode = 'manual';
+      order.dispatch.status = 'accepted';
+      order.rider = riderId;
+      order.deliveryRun = run._id;
+      applyTransition(order, 'assigned', { notes: 'Order assigned to rider on a delivery run' });
+      await order.save();
+    }
+
+    await RiderLocation.findOneAndUpdate(
+      { rider: riderId },
+      { currentRun: run._id, currentOrder: nextStop(run).order }
+    );
+
+    for (const order of orders) {
+      global.io.to(`order-${order._id}`).emit('status-update', {
+        orderId: order._id,
+        status: 'assigned',
+        timestamp: new Date(),
+        eta: await refreshEta(order)
+      });
+      publishOrderEvent('assigned', order, { deliveryRun: run._id });
+    }
+    global.io.to(`rider-${riderId}`).emit('run-assigned', { runId: run._id, nextStop: nextStop(run) });
+
+    res.status(201).json({ message: 'Delivery run created', run });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List delivery runs
+router.get('/runs', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { status, riderId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = {};
+    if (status) query.status = status;
+    if (riderId) query.rider = riderId;
+
+    const runs = await DeliveryRun.find(query)
+      .populate('rider', 'profile riderInfo.vehicleType')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await DeliveryRun.countDocuments(query);
+
+    res.json({
+      runs,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delivery run with its stops in driving order
+router.get('/runs/:runId', auth, authorize('admin'), async (req, res) => {
+  try {
+    const run = await DeliveryRun.findById(req.params.runId)
+      .populate('rider', 'profile riderInfo.vehicleType')
+      .populate('stops.order', 'trackingCode status customer product.weight');
+    if (!run) {
+      return res.status(404).json({ message: 'Delivery run not found' });
+    }
+
+    res.json({ run: { ...run.toObject(), stops: sortedStops(run) }, nextStop: nextStop(run) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Re-plan the remaining stops from where the rider is now
+router.post('/runs/:runId/optimize', auth, authorize('admin'), async (req, res) => {
+  try {
+    const run = await DeliveryRun.findById(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ message: 'Delivery run not found' });
+    }
+
+    if (run.status !== 'active') {
+      return res.status(409).json({ message: 'Only active runs can be re-planned' });
+    }
+
+    const riderLocation = await RiderLocation.findOne({ rider: run.rider });
+    resequenceRun(run, riderLocation?.location);
+    await run.save();
+
+    const next = nextStop(run);
+    await RiderLocation.findOneAndUpdate(
+      { rider: run.rider, currentRun: run._id },
+      { currentOrder: next.order }
+    );
+    global.io.to(`rider-${run.rider}`).emit('run-update', { runId: run._id, status: run.status, nextStop: next });
+
+    res.json({ message: 'Delivery run re-planned', run });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Unlock a delivery code after too many wrong attempts ('reset'), or replace a
+// code the customer lost ('reissue'). A new code is sent to the customer by SMS.
+router.post('/orders/:orderId/delivery-code', auth, authorize('admin'), [
+  body('action').isIn(['reset', 'reissue'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.orderId).select('+deliveryOtp.code');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!ACTIVE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ message: 'Delivery codes can only be changed for active orders' });
+    }
+
+    const issued = issueDeliveryOtp(order, { replace: req.body.action === 'reissue' });
+    if (!issued) {
+      order.deliveryOtp.attempts = 0;
+    }
+    await order.save();
+
+    if (issued) {
+      publishOrderEvent('delivery_code', order);
+    }
+
+    res.json({
+      message: issued ? 'New delivery code sent to the customer' : 'Delivery code attempts reset',
+      deliveryOtp: { issuedAt: order.deliveryOtp.issuedAt, attempts: order.deliveryOtp.attempts }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Recorded route of an order for investigating late or disputed deliveries
+router.get('/orders/:orderId/route', auth, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .select('status timeline pricing actualDeliveryTime cancelledAt');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json(await orderRoute(order));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Download orders as CSV, with the same filters as the order list
+router.get('/orders/export', auth, authorize('admin'), async (req, res) => {
+  try {
+    const query = orderListQuery(req.query);
+    if (req.query.late === 'true') query['eta.late'] = true;
+
+    await streamOrdersCsv(res, query, exportFilename('orders'));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get all orders for admin
+router.get('/orders', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, late } = req.query;
+    const query = orderListQuery(req.query);
+    
+    // Active orders whose ETA runs past the requested delivery window
+    if (late === 'true') query['eta.late'] = true;
+
+    const orders = await Order.find(query)
+      .populate('business', 'profile businessInfo')
+      .populate('rider', 'profile riderInfo')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get dashboard statistics
+router.get('/dashboard/stats', auth, authorize('admin'), async (req, res) => {
+  try {
+    const today = moment().startOf('day');
+    const thisWeek = moment().startOf('week');
+    const thisMonth = moment().startOf('month');
+
+    const stats = {
+      users: {
+        total: await User.countDocuments(),
+        businesses: await User.countDocuments({ role: 'business' }),
+        riders: await User.countDocuments({ role: 'rider' }),
+        activeRiders: await RiderLocation.countDocuments({ isOnline: true })
+      },
+      orders: {
+        total: await Order.countDocuments(),
+        today: await Order.countDocuments({ createdAt: { $gte: today.toDate() } }),
+        thisWeek: await Order.countDocuments({ createdAt: { $gte: thisWeek.toDate() } }),
+        thisMonth: await Order.countDocuments({ createdAt: { $gte: thisMonth.toDate() } }),
+        pending: await Order.countDocuments({ status: 'pending' }),
+        inProgress: await Order.countDocuments({ 
+          status: { $in: ['assigned', 'picked_up', 'in_transit'] }
+        }),
+        completed: await Order.countDocuments({ status: 'delivered' }),
+        cancelled: await Order.countDocuments({ status: { $in: ['cancelled', 'failed'] } })
+      },
+      revenue: {
+        total: await paidRevenue(),
+        thisMonth: await paidRevenue({ createdAt: { $gte: thisMonth.toDate() } })
+      }
+    };
+
+    res.json({ stats });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get active pricing rules
+router.get('/pricing', auth, authorize('admin'), async (req, res) => {
+  try {
+    res.json({ pricing: await getPricingConfig() });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update pricing rules; each change is stored as a new version
+router.put('/pricing', auth, authorize('admin'), [
+  body(['baseFare', 'includedKm', 'perKm', 'includedWeightKg', 'perKg', 'minimumFare', 'sameDaySurcharge'])
+    .optional().isFloat({ min: 0 }),
+  body('vehicleMultipliers').optional().isObject(),
+  body('vehicleMultipliers.*').optional().isFloat({ min: 0 }),
+  body('windowSurcharges').optional().isArray(),
+  body('windowSurcharges.*.label').optional().notEmpty(),
+  body('windowSurcharges.*.from').optional().matches(/^\d{2}:\d{2}$/),
+  body('windowSurcharges.*.to').optional().matches(/^\d{2}:\d{2}$/),
+  body('windowSurcharges.*.amount').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const current = (await getPricingConfig()).toObject();
+    delete current._id;
+    delete current.createdAt;
+    delete current.updatedAt;
+
+    const fields = [
+      'currency', 'baseFare', 'includedKm', 'perKm', 'includedWeightKg', 'perKg',
+      'minimumFare', 'vehicleMultipliers', 'sameDaySurcharge', 'windowSurcharges'
+    ];
+    const updates = {};
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    const pricing = await new PricingConfig({
+      ...current,
+      ...updates,
+      updatedBy: req.user._id
+    }).save();
+
+    res.json({ message: 'Pricing updated successfully', pricing });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delivery zones
+router.get('/zones', auth, authorize('admin'), async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ name: 1 });
+    res.json({ zones });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a zone from one ring of [longitude, latitude] positions
+router.post('/zones', auth, authorize('admin'), [
+  body('name').trim().notEmpty(),
+  body('coordinates').isArray({ min: 3 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const area = polygonFromRing(req.body.coordinates);
+    if (!area) {
+      return res.status(400).json({ message: 'Coordinates must be [longitude, latitude] pairs enclosing an area' });
+    }
+
+    if (await DeliveryZone.exists({ name: req.body.name })) {
+      return res.status(400).json({ message: 'A zone with this name already exists' });
+    }
+
+    const zone = await DeliveryZone.create({ name: req.body.name, area });
+
+    res.status(201).json({ message: 'Delivery zone created', zone });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename, redraw or (de)activate a zone
+router.patch('/zones/:zoneId', auth, authorize('admin'), [
+  body('name').optional().trim().notEmpty(),
+  body('coordinates').optional().isArray({ min: 3 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zone = await DeliveryZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    const { name, coordinates, isActive } = req.body;
+    if (coordinates !== undefined) {
+      const area = polygonFromRing(coordinates);
+      if (!area) {
+        return res.status(400).json({ message: 'Coordinates must be [longitude, latitude] pairs enclosing an area' });
+      }
+      zone.area = area;
+    }
+    if (name !== undefined) zone.name = name;
+    if (isActive !== undefined) zone.isActive = isActive === true || isActive === 'true';
+
+    await zone.save();
+
+    res.json({ message: 'Delivery zone updated', zone });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delivery slots on a day, with how many places are booked
+router.get('/slots', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { date, zoneId } = req.query;
+    const day = date ? moment(date) : moment();
+
+    const query = {
+      windowStart: { $gte: day.clone().startOf('day').toDate(), $lte: day.clone().endOf('day').toDate() }
+    };
+    if (zoneId) query.zone = zoneId;
+
+    const slots = await DeliverySlot.find(query)
+      .populate('zone', 'name')
+      .sort({ windowStart: 1 });
+
+    res.json({
+      slots: slots.map((slot) => ({
+        ...slotView(slot),
+        riderCount: slot.riderCount,
+        ordersPerRider: slot.ordersPerRider,
+        reserved: slot.reserved,
+        isActive: slot.isActive
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Plan a slot in a zone, optionally repeated on the following days. Capacity
+// is the planned rider headcount times the orders each rider can take.
+router.post('/slots', auth, authorize('admin'), [
+  body('zoneId').isMongoId(),
+  body('date').isISO8601(),
+  body('startTime').matches(TIME_PATTERN),
+  body('endTime').matches(TIME_PATTERN),
+  body('riderCount').isInt({ min: 0 }),
+  body('ordersPerRider').optional().isInt({ min: 1 }),
+  body('days').optional().isInt({ min: 1, max: 31 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { zoneId, date, startTime, endTime } = req.body;
+    if (endTime <= startTime) {
+      return res.status(400).json({ message: 'endTime must be after startTime' });
+    }
+
+    const zone = await DeliveryZone.findById(zoneId);
+    if (!zone) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    const riderCount = parseInt(req.body.riderCount, 10);
+    const ordersPerRider = parseInt(req.body.ordersPerRider, 10) || DEFAULT_ORDERS_PER_RIDER;
+    const days = parseInt(req.body.days, 10) || 1;
+
+    const slots = [];
+    for (let i = 0; i < days; i++) {
+      const day = moment(date).add(i, 'days');
+      slots.push({
+        zone: zone._id,
+        startTime,
+        endTime,
+        windowStart: atTime(day, startTime),
+        windowEnd: atTime(day, endTime),
+        riderCount,
+        ordersPerRider,
+        capacity: riderCount * ordersPerRider,
+        createdBy: req.user._id
+      });
+    }
+
+    const existing = await DeliverySlot.findOne({
+      zone: zone._id,
+      windowStart: { $in: slots.map((slot) => slot.windowStart) }
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: `Zone already has a slot starting ${moment(existing.windowStart).format('YYYY-MM-DD HH:mm')}`
+      });
+    }
+
+    const created = await DeliverySlot.insertMany(slots);
+
+    res.status(201).json({ message: 'Delivery slots created', slots: created });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a slot's rider headcount or close it for new bookings
+router.patch('/slots/:slotId', auth, authorize('admin'), [
+  body('riderCount').optional().isInt({ min: 0 }),
+  body('ordersPerRider').optional().isInt({ min: 1 }),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await DeliverySlot.findById(req.params.slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Delivery slot not found' });
+    }
+
+    const { riderCount, ordersPerRider, isActive } = req.body;
+    if (riderCount !== undefined) slot.riderCount = parseInt(riderCount, 10);
+    if (ordersPerRider !== undefined) slot.ordersPerRider = parseInt(ordersPerRider, 10);
+    if (isActive !== undefined) slot.isActive = isActive === true || isActive === 'true';
+
+    const capacity = slot.riderCount * slot.ordersPerRider;
+    if (capacity < slot.reserved) {
+      return res.status(409).json({ message: `Slot already has ${slot.reserved} orders booked` });
+    }
+    slot.capacity = capacity;
+
+    await slot.save();
+
+    res.json({ message: 'Delivery slot updated', slot });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a slot nobody booked; booked slots can only be deactivated
+router.delete('/slots/:slotId', auth, authorize('admin'), async (req, res) => {
+  try {
+    const slot = await DeliverySlot.findOneAndDelete({ _id: req.params.slotId, reserved: 0 });
+    if (!slot) {
+      const booked = await DeliverySlot.exists({ _id: req.params.slotId });
+      return booked
+        ? res.status(409).json({ message: 'Slot has bookings; deactivate it instead' })
+        : res.status(404).json({ message: 'Delivery slot not found' });
+    }
+
+    res.json({ message: 'Delivery slot deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Shifts overlapping a period; defaults to the coming week
+router.get('/shifts', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { zoneId, status } = req.query;
+    const from = req.query.from ? new Date(req.query.from) : moment().startOf('day').toDate();
+    const to = req.query.to ? new Date(req.query.to) : moment(from).add(7, 'days').toDate();
+
+    const query = { startsAt: { $lt: to }, endsAt: { $gt: from } };
+    if (zoneId) query.zone = zoneId;
+    if (status) query.status = status;
+
+    const shifts = await Shift.find(query)
+      .populate('zone', 'name')
+      .populate('riders', 'email profile.name profile.phone')
+      .sort({ startsAt: 1 });
+
+    res.json({ from, to, shifts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Publish a shift for riders to claim
+router.post('/shifts', auth, authorize('admin'), [
+  body('startsAt').isISO8601(),
+  body('endsAt').isISO8601(),
+  body('riderSlots').isInt({ min: 1 }),
+  body('zoneId').optional().isMongoId(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+    if (endsAt <= startsAt) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' });
+    }
+    if (endsAt - startsAt > 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: 'Shifts cannot be longer than 24 hours' });
+    }
+    if (endsAt <= new Date()) {
+      return res.status(400).json({ message: 'Shift must end in the future' });
+    }
+
+    const { zoneId, notes } = req.body;
+    if (zoneId && !(await DeliveryZone.exists({ _id: zoneId }))) {
+      return res.status(404).json({ message: 'Delivery zone not found' });
+    }
+
+    const shift = await new Shift({
+      zone: zoneId,
+      startsAt,
+      endsAt,
+      riderSlots: parseInt(req.body.riderSlots, 10),
+      notes,
+      createdBy: req.user._id
+    }).save();
+
+    res.status(201).json({ message: 'Shift published', shift });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Change a shift's places or notes, or cancel it
+router.patch('/shifts/:shiftId', auth, authorize('admin'), [
+  body('riderSlots').optional().isInt({ min: 1 }),
+  body('notes').optional().trim(),
+  body('status').optional().isIn(['cancelled'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shift = await Shift.findById(req.params.shiftId);
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    if (shift.status === 'cancelled') {
+      return res.status(400).json({ message: 'Shift is cancelled' });
+    }
+
+    const { riderSlots, notes, status } = req.body;
+    if (riderSlots !== undefined) {
+      if (parseInt(riderSlots, 10) < shift.riders.length) {
+        return res.status(409).json({ message: `Shift already has ${shift.riders.length} riders` });
+      }
+      shift.riderSlots = parseInt(riderSlots, 10);
+    }
+    if (notes !== undefined) shift.notes = notes;
+    if (status) shift.status = status;
+
+    await shift.save();
+
+    if (status === 'cancelled') {
+      shift.riders.forEach((riderId) => {
+        global.io.to(`rider-${riderId}`).emit('shift-cancelled', {
+          shiftId: shift._id,
+          startsAt: shift.startsAt,
+          endsAt: shift.endsAt
+        });
+      });
+    }
+
+    res.json({ message: 'Shift updated', shift });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Scheduled, online, busy and idle hours per rider; defaults to this week
+router.get('/shifts/report', auth, authorize('admin'), async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : moment().startOf('week').toDate();
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const riderIds = req.query.riderId ? [req.query.riderId] : undefined;
+
+    const rows = await shiftReport({ from, to, riderIds });
+    const riders = await User.find({ _id: { $in: rows.map((row) => row.rider) } }).select('email profile');
+    const byId = new Map(riders.map((rider) => [String(rider._id), rider]));
+
+    res.json({
+      from,
+      to,
+      riders: rows
+        .sort((a, b) => b.onlineHours - a.onlineHours)
+        .map((row) => ({ ...row, rider: byId.get(String(row.rider)) || row.rider }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// A rider's online sessions, newest first
+router.get('/riders/:riderId/sessions', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, from, to } = req.query;
+    const query = { rider: req.params.riderId };
+    if (from) query.$or = [{ endedAt: null }, { endedAt: { $gt: new Date(from) } }];
+    if (to) query.startedAt = { $lt: new Date(to) };
+
+    const sessions = await OnlineSession.find(query)
+      .populate('shift', 'startsAt endsAt zone')
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await OnlineSession.countDocuments(query);
+
+    res.json({
+      sessions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Block/Unblock user
+router.patch('/users/:userId/toggle-status', auth, authorize('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.isActive = !user.isActive;
+    await user.save();
+
+    // Sign a deactivated user out everywhere
+    if (!user.isActive) {
+      await revokeAllSessions(user._id, 'deactivated');
+    }
+
+    res.json({ 
+      message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
+      user: {
+        id: user._id,
+        email: user.email,
+        isActive: user.isActive
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// # Get all businesses
+router.get('/businesses', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const query = { role: 'business' };
+    
+    if (status) {
+      query.isActive = status === 'active';
+    }
+
+    const businesses = await User.find(query)
+      .select('-password')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await User.countDocuments(query);
+
+    // Get order statistics for each business
+    const businessesWithStats = await Promise.all(businesses.map(async (business) => {
+      const orderStats = {
+        total: await Order.countDocuments({ business: business._id }),
+        completed: await Order.countDocuments({ business: business._id, status: 'delivered' }),
+        pending: await Order.countDocuments({ business: business._id, status: 'pending' })
+      };
+
+      return {
+        ...business.toObject(),
+        orderStats
+      };
+    }));
+
+    res.json({
+      businesses: businessesWithStats,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// API keys across businesses
+router.get('/api-keys', auth, authorize('admin'), async (req, res) => {
+  try {
+    const { businessId, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (businessId) query.business = businessId;
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('business', 'email businessInfo.businessName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ApiKey.countDocuments(query);
+
+    res.json({
+      apiKeys,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Adjust a key's rate limit, or revoke it
+router.patch('/api-keys/:keyId', auth, authorize('admin'), [
+  body('rateLimitPerMinute').optional().isInt({ min: 1 }),
+  body('revoked').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.keyId);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    const { rateLimitPerMinute, revoked } = req.body;
+    if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+    if (revoked === true && !apiKey.revokedAt) apiKey.revokedAt = new Date();
+
+    await apiKey.save();
+
+    res.json({ message: 'API key updated', apiKey });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Monthly PDF statement for a business (month as YYYY-MM)
+router.get('/businesses/:businessId/statements/:month', auth, authorize('admin'), async (req, res) => {
+  try {
+    if (!monthRange(req.params.month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    const business = await User.findOne({ _id: req.params.businessId, role: 'business' }).select('-password');
+    if (!business) {
+      return res.status(404).json({ message: 'Business not found' });
+    }
+
+    await sendPdf(res, `statement-${req.params.month}.pdf`, (doc) => {
+      return renderBusinessStatement(doc, business, req.params.month);
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,12 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/tokens');
+const {
+  consumeAuthToken, sendVerificationEmail, sendPasswordResetEmail
+} = require('../utils/authTokens');
 
 const router = express.Router();
 
@@ -36,19 +40,21 @@ router.post('/register/business', [
 
     await user.save();
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Registration succeeds even if the mail server is down; the user can ask for a resend
+    sendVerificationEmail(user).catch((error) => {
+      console.log('Verification email error:', error.message);
+    });
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       message: 'Business registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         businessInfo: user.businessInfo
       }
@@ -81,19 +87,16 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    const tokens = await createSession(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         profile: user.profile,
         businessInfo: user.businessInfo,
         riderInfo: user.riderInfo
@@ -104,6 +107,229 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateSession(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(result.session._id, 'user_inactive');
+      return res.status(401).json({ message: 'Invalid credentials or account inactive' });
+    }
+
+    res.json({ message: 'Token refreshed', ...result.tokens });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout current device
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Logout all devices
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip lastUsedAt createdAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Revoke one session
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, user: req.user._id });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id);
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Verify email address
+router.post('/verify-email', [
+  body('token').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'email_verification');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    await User.findByIdAndUpdate(authToken.user, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    // Not awaited: a mail failure must not change the response for registered emails
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user)
+        .catch((error) => console.log('Password reset email error:', error.message));
+    }
+
+    // Same answer either way so the endpoint cannot be used to probe for accounts
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Reset password with an emailed token
+router.post('/reset-password', [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'password_reset');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid credentials or account inactive' });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Anyone holding the old password's sessions is signed out
+    await revokeAllSessions(user._id, 'password_reset');
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept a rider invitation and set a password
+router.post('/accept-invite', [
+  body('token').notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'rider_invite');
+    if (!authToken) {
+      return res.status(400).json({ message: 'Invalid or expired invitation link' });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invalid credentials or account inactive' });
+    }
+
+    user.password = req.body.password;
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      message: 'Invitation accepted',
+      ...tokens,
+      user: {
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        profile: user.profile,
+        riderInfo: user.riderInfo
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   res.json({
@@ -111,6 +337,7 @@ router.get('/me', auth, async (req, res) => {
       id: req.user._id,
       email: req.user.email,
       role: req.user.role,
+      emailVerified: req.user.emailVerified,
       profile: req.user.profile,
       businessInfo: req.user.businessInfo,
       riderInfo: req.user.riderInfo
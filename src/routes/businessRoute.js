@@ -0,0 +1,753 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const AddressBookEntry = require('../models/AddressBookEntry');
+const Notification = require('../models/Notification');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ApiKey = require('../models/ApiKey');
+const CodRemittance = require('../models/CodRemittance');
+const { auth, authorize } = require('../middleware/auth');
+const { upload, uploadToCloudinary } = require('../utils/cloudinary');
+const { ORDER_EVENTS } = require('../utils/orderEvents');
+const { sendPdf, monthRange, renderBusinessStatement } = require('../utils/pdfReports');
+const { generateSecret, replayDelivery, webhookTargetError } = require('../utils/webhooks');
+const { API_KEY_SCOPES, generateApiKey } = require('../utils/apiKeys');
+const { unremittedQuery, codSummary } = require('../utils/cash');
+const moment = require('moment');
+
+const router = express.Router();
+
+const businessProfile = (user) => ({
+  id: user._id,
+  email: user.email,
+  profile: user.profile,
+  businessInfo: user.businessInfo
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Receivers must be public hosts; the address is checked again on every delivery
+const webhookUrlRule = (field) => body(field)
+  .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  .bail()
+  .custom(async (url) => {
+    const error = await webhookTargetError(url);
+    if (error) throw new Error(error);
+    return true;
+  });
+
+// Get business profile
+router.get('/profile', auth, authorize('business'), async (req, res) => {
+  res.json({ business: businessProfile(req.user) });
+});
+
+// Update business profile
+router.put('/profile', auth, authorize('business'), [
+  body('name').optional().notEmpty(),
+  body('phone').optional().notEmpty(),
+  body('businessName').optional().notEmpty(),
+  body('website').optional({ checkFalsy: true }).isURL()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, address, businessName, businessType, description, website } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (name !== undefined) user.profile.name = name;
+    if (phone !== undefined) user.profile.phone = phone;
+    if (address !== undefined) user.profile.address = address;
+    if (businessName !== undefined) user.businessInfo.businessName = businessName;
+    if (businessType !== undefined) user.businessInfo.businessType = businessType;
+    if (description !== undefined) user.businessInfo.description = description;
+    if (website !== undefined) user.businessInfo.website = website;
+
+    await user.save();
+
+    res.json({ message: 'Profile updated successfully', business: businessProfile(user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Upload business logo
+router.post('/profile/logo', auth, authorize('business'), upload.single('logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Logo image is required' });
+    }
+
+    const logoUrl = await uploadToCloudinary(req.file.buffer, 'business-logos');
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { 'businessInfo.logo': logoUrl },
+      { new: true }
+    );
+
+    res.json({ message: 'Logo updated successfully', business: businessProfile(user) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get saved pickup locations
+router.get('/pickup-locations', auth, authorize('business'), async (req, res) => {
+  res.json({ pickupLocations: req.user.businessInfo?.pickupLocations || [] });
+});
+
+// Add saved pickup location
+router.post('/pickup-locations', auth, authorize('business'), [
+  body('label').notEmpty(),
+  body('address').notEmpty(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { label, address, latitude, longitude, contactName, contactPhone, isDefault } = req.body;
+    const user = await User.findById(req.user._id);
+    const pickupLocations = user.businessInfo.pickupLocations;
+
+    const makeDefault = isDefault === true || isDefault === 'true' || pickupLocations.length === 0;
+    if (makeDefault) {
+      pickupLocations.forEach((location) => { location.isDefault = false; });
+    }
+
+    pickupLocations.push({
+      label,
+      address,
+      coordinates: { latitude, longitude },
+      contactName,
+      contactPhone,
+      isDefault: makeDefault
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      message: 'Pickup location added successfully',
+      pickupLocation: pickupLocations[pickupLocations.length - 1]
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update saved pickup location
+router.put('/pickup-locations/:locationId', auth, authorize('business'), [
+  body('label').optional().notEmpty(),
+  body('address').optional().notEmpty(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const location = user.businessInfo.pickupLocations.id(req.params.locationId);
+    if (!location) {
+      return res.status(404).json({ message: 'Pickup location not found' });
+    }
+
+    const { label, address, latitude, longitude, contactName, contactPhone, isDefault } = req.body;
+
+    if (label !== undefined) location.label = label;
+    if (address !== undefined) location.address = address;
+    if (latitude !== undefined) location.coordinates.latitude = latitude;
+    if (longitude !== undefined) location.coordinates.longitude = longitude;
+    if (contactName !== undefined) location.contactName = contactName;
+    if (contactPhone !== undefined) location.contactPhone = contactPhone;
+    if (isDefault === true || isDefault === 'true') {
+      user.businessInfo.pickupLocations.forEach((other) => { other.isDefault = false; });
+      location.isDefault = true;
+    }
+
+    await user.save();
+
+    res.json({ message: 'Pickup location updated successfully', pickupLocation: location });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete saved pickup location
+router.delete('/pickup-locations/:locationId', auth, authorize('business'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const location = user.businessInfo.pickupLocations.id(req.params.locationId);
+    if (!location) {
+      return res.status(404).json({ message: 'Pickup location not found' });
+    }
+
+    const wasDefault = location.isDefault;
+    location.deleteOne();
+    if (wasDefault && user.businessInfo.pickupLocations.length > 0) {
+      user.businessInfo.pickupLocations[0].isDefault = true;
+    }
+
+    await user.save();
+
+    res.json({ message: 'Pickup location deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get customer address book
+router.get('/customers', auth, authorize('business'), async (req, res) => {
+  try {
+    const { search, page = 1, limit = 10 } = req.query;
+    const query = { business: req.user._id };
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { phone: pattern }, { address: pattern }];
+    }
+
+    const customers = await AddressBookEntry.find(query)
+      .sort({ name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await AddressBookEntry.countDocuments(query);
+
+    res.json({
+      customers,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add customer to address book
+router.post('/customers', auth, authorize('business'), [
+  body('name').notEmpty(),
+  body('phone').notEmpty(),
+  body('address').notEmpty(),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, phone, email, address, latitude, longitude, notes } = req.body;
+
+    const customer = await new AddressBookEntry({
+      business: req.user._id,
+      name,
+      phone,
+      email,
+      address,
+      coordinates: { latitude, longitude },
+      notes
+    }).save();
+
+    res.status(201).json({ message: 'Customer added successfully', customer });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update customer in address book
+router.put('/customers/:customerId', auth, authorize('business'), [
+  body('name').optional().notEmpty(),
+  body('phone').optional().notEmpty(),
+  body('address').optional().notEmpty(),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }),
+  body('longitude').optional().isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const customer = await AddressBookEntry.findOne({ _id: req.params.customerId, business: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    const { name, phone, email, address, latitude, longitude, notes } = req.body;
+
+    if (name !== undefined) customer.name = name;
+    if (phone !== undefined) customer.phone = phone;
+    if (email !== undefined) customer.email = email;
+    if (address !== undefined) customer.address = address;
+    if (latitude !== undefined) customer.coordinates.latitude = latitude;
+    if (longitude !== undefined) customer.coordinates.longitude = longitude;
+    if (notes !== undefined) customer.notes = notes;
+
+    await customer.save();
+
+    res.json({ message: 'Customer updated successfully', customer });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete customer from address book
+router.delete('/customers/:customerId', auth, authorize('business'), async (req, res) => {
+  try {
+    const customer = await AddressBookEntry.findOneAndDelete({ _id: req.params.customerId, business: req.user._id });
+    if (!customer) {
+      return res.status(404).json({ message: 'Customer not found' });
+    }
+
+    res.json({ message: 'Customer deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get notification settings
+router.get('/notification-settings', auth, authorize('business'), async (req, res) => {
+  res.json({ notificationSettings: req.user.businessInfo.notificationSettings });
+});
+
+// Update notification settings
+router.put('/notification-settings', auth, authorize('business'), [
+  body('businessEmailEvents').optional().isArray(),
+  body('businessEmailEvents.*').isIn(ORDER_EVENTS),
+  body('customerSmsEvents').optional().isArray(),
+  body('customerSmsEvents.*').isIn(ORDER_EVENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { businessEmailEvents, customerSmsEvents } = req.body;
+    const user = await User.findById(req.user._id);
+    const settings = user.businessInfo.notificationSettings;
+
+    if (businessEmailEvents !== undefined) settings.businessEmailEvents = [...new Set(businessEmailEvents)];
+    if (customerSmsEvents !== undefined) settings.customerSmsEvents = [...new Set(customerSmsEvents)];
+
+    await user.save();
+
+    res.json({ message: 'Notification settings updated', notificationSettings: settings });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get notification delivery log
+router.get('/notifications', auth, authorize('business'), async (req, res) => {
+  try {
+    const { status, channel, orderId, page = 1, limit = 20 } = req.query;
+    const query = { business: req.user._id };
+
+    if (status) query.status = status;
+    if (channel) query.channel = channel;
+    if (orderId) query.order = orderId;
+
+    const notifications = await Notification.find(query)
+      .select('-html')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Notification.countDocuments(query);
+
+    // Customer messages carry the customer's rating link, which the business
+    // must not be able to use
+    res.json({
+      notifications: notifications.map((notification) => {
+        const entry = notification.toObject();
+        if (entry.recipientType === 'customer') delete entry.body;
+        return entry;
+      }),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// API keys for server-to-server integrations
+router.get('/api-keys', auth, authorize('business'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ business: req.user._id }).sort({ createdAt: -1 });
+    res.json({ apiKeys });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/api-keys', auth, authorize('business'), [
+  body('name').trim().notEmpty(),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(API_KEY_SCOPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      business: req.user._id,
+      name: req.body.name,
+      scopes: [...new Set(req.body.scopes)],
+      prefix,
+      keyHash
+    });
+
+    // The key itself is only ever returned here
+    res.status(201).json({
+      message: 'API key created successfully',
+      apiKey: { ...apiKey.toObject(), keyHash: undefined, key }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/api-keys/:keyId', auth, authorize('business'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.keyId, business: req.user._id });
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Webhook endpoints
+router.get('/webhooks', auth, authorize('business'), async (req, res) => {
+  try {
+    const webhooks = await WebhookEndpoint.find({ business: req.user._id }).sort({ createdAt: -1 });
+    res.json({ webhooks });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/webhooks', auth, authorize('business'), [
+  webhookUrlRule('url'),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn(ORDER_EVENTS),
+  body('description').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { url, events, description } = req.body;
+    const secret = generateSecret();
+    const webhook = await WebhookEndpoint.create({
+      business: req.user._id,
+      url,
+      description,
+      events: events ? [...new Set(events)] : undefined,
+      secret
+    });
+
+    // The secret is only ever returned here and on rotation
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...webhook.toObject(), secret }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.put('/webhooks/:webhookId', auth, authorize('business'), [
+  webhookUrlRule('url').optional(),
+  body('events').optional().isArray({ min: 1 }),
+  body('events.*').isIn(ORDER_EVENTS),
+  body('description').optional().isString(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await WebhookEndpoint.findOne({ _id: req.params.webhookId, business: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive;
+
+    await webhook.save();
+
+    res.json({ message: 'Webhook updated successfully', webhook });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.post('/webhooks/:webhookId/rotate-secret', auth, authorize('business'), async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await WebhookEndpoint.findOneAndUpdate(
+      { _id: req.params.webhookId, business: req.user._id },
+      { secret },
+      { new: true }
+    );
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook secret rotated', webhook: { ...webhook.toObject(), secret } });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.delete('/webhooks/:webhookId', auth, authorize('business'), async (req, res) => {
+  try {
+    const webhook = await WebhookEndpoint.findOneAndDelete({ _id: req.params.webhookId, business: req.user._id });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Webhook delivery log
+router.get('/webhook-deliveries', auth, authorize('business'), async (req, res) => {
+  try {
+    const { webhookId, status, event, orderId, page = 1, limit = 20 } = req.query;
+    const query = { business: req.user._id };
+
+    if (webhookId) query.endpoint = webhookId;
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (orderId) query.order = orderId;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+router.get('/webhook-deliveries/:deliveryId', auth, authorize('business'), async (req, res) => {
+  try {
+    // Older entries may still hold the receiver's response body; it is not shown
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, business: req.user._id })
+      .select('-responseBody');
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Send a logged event again, e.g. after fixing the receiving endpoint
+router.post('/webhook-deliveries/:deliveryId/replay', auth, authorize('business'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, business: req.user._id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const replay = await replayDelivery(delivery);
+    if (!replay) {
+      return res.status(409).json({ message: 'The webhook for this delivery has been deleted' });
+    }
+
+    res.status(201).json({ message: 'Delivery replayed', delivery: replay });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cash on delivery: amounts still to collect, collected but not yet paid
+// over, and already remitted
+router.get('/cod', auth, authorize('business'), async (req, res) => {
+  try {
+    const awaiting = await Order.find(unremittedQuery(req.user._id))
+      .select('trackingCode customer.name cashOnDelivery actualDeliveryTime')
+      .sort({ 'cashOnDelivery.collectedAt': -1 });
+
+    res.json({ totals: await codSummary(req.user._id), awaitingRemittance: awaiting });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remittance statements for cash collected on the business's behalf
+router.get('/cod/remittances', auth, authorize('business'), async (req, res) => {
+  try {
+    const remittances = await CodRemittance.find({ business: req.user._id })
+      .select('-orders')
+      .sort({ createdAt: -1 });
+
+    res.json({ remittances });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Orders paid over in one remittance, with what was due and collected
+router.get('/cod/remittances/:remittanceId', auth, authorize('business'), async (req, res) => {
+  try {
+    const remittance = await CodRemittance.findOne({ _id: req.params.remittanceId, business: req.user._id })
+      .select('-orders');
+    if (!remittance) {
+      return res.status(404).json({ message: 'Remittance not found' });
+    }
+
+    const orders = await Order.find({ 'cashOnDelivery.remittance': remittance._id })
+      .select('trackingCode customer.name cashOnDelivery actualDeliveryTime')
+      .sort({ 'cashOnDelivery.collectedAt': 1 });
+
+    res.json({ remittance, orders });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Monthly PDF statement (month as YYYY-MM)
+router.get('/statements/:month', auth, authorize('business'), async (req, res) => {
+  try {
+    if (!monthRange(req.params.month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    await sendPdf(res, `statement-${req.params.month}.pdf`, (doc) => {
+      return renderBusinessStatement(doc, req.user, req.params.month);
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get business dashboard stats
+router.get('/dashboard', auth, authorize('business'), async (req, res) => {
+  try {
+    const today = moment().startOf('day');
+    const thisWeek = moment().startOf('week');
+    const thisMonth = moment().startOf('month');
+    const business = req.user._id;
+
+    const stats = {
+      today: {
+        total: await Order.countDocuments({ business, createdAt: { $gte: today.toDate() } }),
+        delivered: await Order.countDocuments({
+          business,
+          status: 'delivered',
+          actualDeliveryTime: { $gte: today.toDate() }
+        })
+      },
+      thisWeek: {
+        total: await Order.countDocuments({ business, createdAt: { $gte: thisWeek.toDate() } }),
+        delivered: await Order.countDocuments({
+          business,
+          status: 'delivered',
+          actualDeliveryTime: { $gte: thisWeek.toDate() }
+        })
+      },
+      thisMonth: {
+        total: await Order.countDocuments({ business, createdAt: { $gte: thisMonth.toDate() } }),
+        delivered: await Order.countDocuments({
+          business,
+          status: 'delivered',
+          actualDeliveryTime: { $gte: thisMonth.toDate() }
+        }),
+        cancelled: await Order.countDocuments({
+          business,
+          status: { $in: ['cancelled', 'failed'] },
+          createdAt: { $gte: thisMonth.toDate() }
+        })
+      },
+      allTime: {
+        total: await Order.countDocuments({ business }),
+        pending: await Order.countDocuments({ business, status: 'pending' }),
+        inProgress: await Order.countDocuments({
+          business,
+          status: { $in: ['assigned', 'picked_up', 'in_transit'] }
+        }),
+        delivered: await Order.countDocuments({ business, status: 'delivered' }),
+        cancelled: await Order.countDocuments({
+          business,
+          status: { $in: ['cancelled', 'failed'] }
+        })
+      }
+    };
+
+    // Orders still on the road
+    const activeOrders = await Order.find({
+      business,
+      status: { $in: ['assigned', 'picked_up', 'in_transit'] }
+    })
+      .populate('rider', 'profile')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json({ stats, activeOrders });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,23 +1,45 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const User = require('../models/User');
-const RiderLocation = require('../models/RiderLocation');
-const { auth, authorize } = require('../middleware/auth');
+const ImportJob = require('../models/ImportJob');
+const { auth, allowApiKey, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { upload, uploadToCloudinary } = require('../utils/cloudinary');
+const {
+  RIDER_STATUSES, ACTIVE_STATUSES,
+  canTransition, transitionError, applyTransition, releaseRider
+} = require('../utils/orderStatus');
+const { releaseOffer } = require('../utils/dispatch');
+const { roundMoney, getPricingConfig, calculateQuote, quoteInputFromOrder } = require('../utils/pricing');
+const { issueDeliveryOtp, verifyDeliveryOtp, riderOrderView } = require('../utils/proofOfDelivery');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { refreshEta } = require('../utils/eta');
+const { syncRunStops } = require('../utils/deliveryRuns');
+const { afterStatusChange } = require('../utils/orderLifecycle');
+const {
+  orderValidators, parseCoordinate, isKnownVehicle, slotForOrder, buildOrder, afterOrderCreated
+} = require('../utils/orderInput');
+const {
+  zoneAt, isInSlotZone, availableSlots, findBookableSlot, applySlot, reserveSlot, releaseSlot
+} = require('../utils/deliverySlots');
+const DeliverySlot = require('../models/DeliverySlot');
+const { collectionError, setCollectedAmount } = require('../utils/cash');
+const { submitRating } = require('../utils/ratings');
+const { MAX_ROWS, importUpload, readImportRows, startImport } = require('../utils/orderImport');
+const { orderListQuery, streamOrdersCsv, exportFilename } = require('../utils/orderExport');
+const { sendPdf, renderReceipt } = require('../utils/pdfReports');
 
 const router = express.Router();
 
-// Create order
-router.post('/', auth, authorize('business'), upload.array('productImages', 5), [
-  body('pickupAddress').notEmpty(),
-  body('dropoffAddress').notEmpty(),
-  body('deliveryDate').isISO8601(),
-  body('deliveryTime').notEmpty(),
-  body('customerName').notEmpty(),
-  body('customerPhone').notEmpty(),
-  body('productDescription').notEmpty(),
-  body('productWeight').isNumeric()
+// Preview the delivery price before creating an order
+router.post('/quote', allowApiKey('orders:read'), auth, authorize('business'), [
+  body('pickupLocationId').optional().isMongoId(),
+  body('pickupLat').if(body('pickupLocationId').not().exists()).isFloat({ min: -90, max: 90 }),
+  body('pickupLng').if(body('pickupLocationId').not().exists()).isFloat({ min: -180, max: 180 }),
+  body('dropoffLat').isFloat({ min: -90, max: 90 }),
+  body('dropoffLng').isFloat({ min: -180, max: 180 }),
+  body('productWeight').isNumeric(),
+  body('deliveryDate').optional().isISO8601()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -26,13 +48,89 @@ router.post('/', auth, authorize('business'), upload.array('productImages', 5),
     }
 
     const {
-      pickupAddress, pickupLat, pickupLng,
-      dropoffAddress, dropoffLat, dropoffLng,
-      deliveryDate, deliveryTime,
-      customerName, customerPhone,
-      productDescription, productWeight
+      pickupLocationId, pickupLat, pickupLng, dropoffLat, dropoffLng,
+      productWeight, vehicleType, deliveryDate, deliveryTime
     } = req.body;
 
+    let pickupCoordinates = { latitude: parseCoordinate(pickupLat), longitude: parseCoordinate(pickupLng) };
+    if (pickupLocationId) {
+      const savedLocation = req.user.businessInfo?.pickupLocations?.id(pickupLocationId);
+      if (!savedLocation) {
+        return res.status(400).json({ message: 'Pickup location not found' });
+      }
+      pickupCoordinates = savedLocation.coordinates;
+    }
+
+    const config = await getPricingConfig();
+    if (!isKnownVehicle(config, vehicleType)) {
+      return res.status(400).json({ message: `Unknown vehicle type: ${vehicleType}` });
+    }
+
+    const quote = calculateQuote(config, {
+      pickupCoordinates,
+      dropoffCoordinates: { latitude: parseCoordinate(dropoffLat), longitude: parseCoordinate(dropoffLng) },
+      weight: productWeight,
+      vehicleType,
+      deliveryDate,
+      deliveryTime
+    });
+
+    res.json({ quote });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delivery slots still open on a date, for a zone or the zone of a dropoff point
+router.get('/slots', allowApiKey('orders:read'), auth, authorize('business'), [
+  query('date').isISO8601(),
+  query('zoneId').optional().isMongoId(),
+  query('dropoffLat').if(query('zoneId').not().exists()).isFloat({ min: -90, max: 90 }),
+  query('dropoffLng').if(query('zoneId').not().exists()).isFloat({ min: -180, max: 180 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, zoneId, dropoffLat, dropoffLng } = req.query;
+
+    let zone = zoneId;
+    if (!zone) {
+      const found = await zoneAt({ latitude: parseFloat(dropoffLat), longitude: parseFloat(dropoffLng) });
+      if (!found) {
+        return res.status(404).json({ message: 'No delivery zone covers this dropoff point' });
+      }
+      zone = found._id;
+    }
+
+    res.json({ zone, slots: await availableSlots(zone, date) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create order
+router.post('/', allowApiKey('orders:write'), auth, authorize('business'),
+  upload.array('productImages', 5), idempotent, orderValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { slot, error: slotError } = await slotForOrder(req.body);
+    if (slotError) {
+      return res.status(400).json({ message: slotError });
+    }
+
+    const pricingConfig = await getPricingConfig();
+    const { order, error } = buildOrder(req.user, req.body, pricingConfig, slot);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
     // Upload images to Cloudinary
     let productImages = [];
     if (req.files && req.files.length > 0) {
@@ -42,41 +140,19 @@ router.post('/', auth, authorize('business'), upload.array('productImages', 5),
       }
     }
 
-    const order = new Order({
-      business: req.user._id,
-      pickupLocation: {
-        address: pickupAddress,
-        coordinates: {
-          latitude: pickupLat,
-          longitude: pickupLng
-        }
-      },
-      dropoffLocation: {
-        address: dropoffAddress,
-        coordinates: {
-          latitude: dropoffLat,
-          longitude: dropoffLng
-        }
-      },
-      deliveryDate: new Date(deliveryDate),
-      deliveryTime,
-      customer: {
-        name: customerName,
-        phone: customerPhone
-      },
-      product: {
-        description: productDescription,
-        weight: parseFloat(productWeight),
-        images: productImages
-      },
-      timeline: [{
-        status: 'pending',
-        timestamp: new Date(),
-        notes: 'Order created'
-      }]
-    });
+    order.product.images = productImages;
 
-    await order.save();
+    if (slot && !(await reserveSlot(slot._id))) {
+      return res.status(409).json({ message: 'Delivery slot is full' });
+    }
+    try {
+      await order.save();
+    } catch (error) {
+      if (slot) await releaseSlot(slot._id);
+      throw error;
+    }
+
+    afterOrderCreated(order);
 
     res.status(201).json({
       message: 'Order created successfully',
@@ -87,13 +163,76 @@ router.post('/', auth, authorize('business'), upload.array('productImages', 5),
   }
 });
 
+// Bulk import from a CSV/JSON file or a JSON array. With dryRun=true rows are
+// only validated. Small imports finish before responding; larger ones return
+// 202 with a job id to poll.
+router.post('/import', allowApiKey('orders:write'), auth, authorize('business'),
+  importUpload.single('file'), idempotent, async (req, res) => {
+  try {
+    let input;
+    try {
+      input = readImportRows(req);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (input.rows.length === 0) {
+      return res.status(400).json({ message: 'No orders to import' });
+    }
+    if (input.rows.length > MAX_ROWS) {
+      return res.status(400).json({ message: `At most ${MAX_ROWS} orders can be imported at once` });
+    }
+
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun) === 'true';
+    const { job, inline } = await startImport(req.user, {
+      ...input,
+      fileName: req.file?.originalname,
+      dryRun
+    });
+
+    if (!inline) {
+      return res.status(202).json({ message: 'Import started', jobId: job._id, job });
+    }
+
+    res.status(dryRun || job.insertedCount === 0 ? 200 : 201).json({
+      message: dryRun ? 'Dry run completed' : `${job.insertedCount} orders imported`,
+      jobId: job._id,
+      job
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Poll an import job
+router.get('/import/:jobId', allowApiKey('orders:read'), auth, authorize('business'), async (req, res) => {
+  try {
+    const job = await ImportJob.findOne({ _id: req.params.jobId, business: req.user._id });
+    if (!job) {
+      return res.status(404).json({ message: 'Import job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Download the business's orders as CSV, with the same filters as the list
+router.get('/business/export', allowApiKey('orders:read'), auth, authorize('business'), async (req, res) => {
+  try {
+    const query = orderListQuery(req.query, { business: req.user._id });
+    await streamOrdersCsv(res, query, exportFilename('orders'));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Get business orders
-router.get('/business', auth, authorize('business'), async (req, res) => {
+router.get('/business', allowApiKey('orders:read'), auth, authorize('business'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
-    const query = { business: req.user._id };
-    
-    if (status) query.status = status;
+    const { page = 1, limit = 10 } = req.query;
+    const query = orderListQuery(req.query, { business: req.user._id });
 
     const orders = await Order.find(query)
       .populate('rider', 'profile')
@@ -125,6 +264,7 @@ router.get('/rider', auth, authorize('rider'), async (req, res) => {
     if (status) query.status = status;
 
     const orders = await Order.find(query)
+      .select('-trackingCode')
       .populate('business', 'profile businessInfo')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -145,48 +285,365 @@ router.get('/rider', auth, authorize('rider'), async (req, res) => {
   }
 });
 
+// Orders assigned before delivery codes existed get one when the rider first
+// tries to deliver; the customer receives it by SMS. Returns an error message.
+const issueMissingOtp = async (order) => {
+  if (!issueDeliveryOtp(order)) return null;
+  await order.save();
+  publishOrderEvent('delivery_code', order);
+  return 'A delivery code has just been sent to the customer; ask them for it';
+};
+
 // Update order status (rider)
 router.patch('/:orderId/status', auth, authorize('rider'), async (req, res) => {
   try {
-    const { status, notes, latitude, longitude } = req.body;
+    const { status, notes, latitude, longitude, otp, collectedAmount } = req.body;
+
+    if (!RIDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${RIDER_STATUSES.join(', ')}` });
+    }
     
-    const order = await Order.findOne({ _id: req.params.orderId, rider: req.user._id });
+    const order = await Order.findOne({ _id: req.params.orderId, rider: req.user._id })
+      .select('+deliveryOtp.code');
     if (!order) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    order.status = status;
-    order.timeline.push({
-      status,
-      timestamp: new Date(),
+    if (!canTransition(order.status, status)) {
+      return res.status(409).json({ message: transitionError(order.status, status) });
+    }
+
+    if (status === 'delivered') {
+      const cashError = collectionError(order, collectedAmount);
+      if (cashError) {
+        return res.status(400).json({ message: cashError });
+      }
+
+      const issuedError = await issueMissingOtp(order);
+      if (issuedError) {
+        return res.status(400).json({ message: issuedError });
+      }
+
+      const otpError = verifyDeliveryOtp(order, otp);
+      if (otpError) {
+        await order.save();
+        return res.status(400).json({ message: otpError });
+      }
+      order.proofOfDelivery.otpVerified = !!order.deliveryOtp.verifiedAt;
+      order.proofOfDelivery.submittedAt = new Date();
+      setCollectedAmount(order, collectedAmount);
+    }
+
+    applyTransition(order, status, {
       notes,
       location: latitude && longitude ? { latitude, longitude } : undefined
     });
 
-    if (status === 'delivered') {
-      order.actualDeliveryTime = new Date();
+    await order.save();
+    await afterStatusChange(order, status, { latitude, longitude });
+
+    res.json({ message: 'Order status updated successfully', order: riderOrderView(order) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Confirm delivery with OTP, doorstep photo and recipient signature (rider)
+router.post('/:orderId/deliver', auth, authorize('rider'), upload.fields([
+  { name: 'photo', maxCount: 1 },
+  { name: 'signature', maxCount: 1 }
+]), [
+  body('otp').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { otp, recipientName, notes, latitude, longitude, collectedAmount } = req.body;
+
+    const order = await Order.findOne({ _id: req.params.orderId, rider: req.user._id })
+      .select('+deliveryOtp.code');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!canTransition(order.status, 'delivered')) {
+      return res.status(409).json({ message: transitionError(order.status, 'delivered') });
     }
 
+    const cashError = collectionError(order, collectedAmount);
+    if (cashError) {
+      return res.status(400).json({ message: cashError });
+    }
+
+    const issuedError = await issueMissingOtp(order);
+    if (issuedError) {
+      return res.status(400).json({ message: issuedError });
+    }
+
+    const otpError = verifyDeliveryOtp(order, otp);
+    if (otpError) {
+      await order.save();
+      return res.status(400).json({ message: otpError });
+    }
+
+    const photo = req.files?.photo?.[0];
+    const signature = req.files?.signature?.[0];
+    const location = latitude && longitude ? { latitude, longitude } : undefined;
+
+    order.proofOfDelivery = {
+      photo: photo ? await uploadToCloudinary(photo.buffer, 'proof-of-delivery') : undefined,
+      signature: signature ? await uploadToCloudinary(signature.buffer, 'signatures') : undefined,
+      recipientName,
+      otpVerified: !!order.deliveryOtp.verifiedAt,
+      notes,
+      location,
+      submittedAt: new Date()
+    };
+    setCollectedAmount(order, collectedAmount);
+
+    applyTransition(order, 'delivered', {
+      notes: notes || `Delivered${recipientName ? ` to ${recipientName}` : ''}`,
+      location
+    });
+
+    await order.save();
+    await afterStatusChange(order, 'delivered', { latitude, longitude });
+
+    res.json({ message: 'Delivery confirmed', order: riderOrderView(order) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Statuses in which a business may still cancel or edit its order
+const EDITABLE_STATUSES = ['pending', 'assigned'];
+
+// Cancel order (business)
+router.post('/:orderId/cancel', allowApiKey('orders:write'), auth, authorize('business'), [
+  body('reason').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { reason } = req.body;
+
+    const order = await Order.findOne({ _id: req.params.orderId, business: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!canTransition(order.status, 'cancelled')) {
+      return res.status(409).json({ message: transitionError(order.status, 'cancelled') });
+    }
+
+    await releaseOffer(order);
+    order.cancellationReason = reason;
+    applyTransition(order, 'cancelled', { notes: `Cancelled by business: ${reason}` });
+
     await order.save();
+    await releaseSlot(order.deliverySlot);
+
+    // Release the rider holding this order
+    await releaseRider(order.rider, order._id);
+    await syncRunStops(order);
+
+    global.io.to(`order-${order._id}`).emit('status-update', {
+      orderId: order._id,
+      status: 'cancelled',
+      timestamp: new Date(),
+      reason,
+      eta: await refreshEta(order)
+    });
+    publishOrderEvent('cancelled', order, { reason });
+
+    res.json({ message: 'Order cancelled successfully', order });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Edit order details (business)
+router.patch('/:orderId', allowApiKey('orders:write'), auth, authorize('business'), [
+  body('pickupAddress').optional().notEmpty(),
+  body('pickupLat').optional().isFloat({ min: -90, max: 90 }),
+  body('pickupLng').optional().isFloat({ min: -180, max: 180 }),
+  body('dropoffAddress').optional().notEmpty(),
+  body('dropoffLat').optional().isFloat({ min: -90, max: 90 }),
+  body('dropoffLng').optional().isFloat({ min: -180, max: 180 }),
+  body('deliveryDate').optional().isISO8601(),
+  body('deliveryTime').optional().notEmpty(),
+  body('slotId').optional().isMongoId(),
+  body('customerName').optional().notEmpty(),
+  body('customerPhone').optional().notEmpty(),
+  body('productDescription').optional().notEmpty(),
+  body('productWeight').optional().isNumeric(),
+  body('codAmount').optional().isFloat({ min: 0 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, business: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!EDITABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({ message: `Order cannot be edited once ${order.status}` });
+    }
+
+    const {
+      pickupAddress, pickupLat, pickupLng,
+      dropoffAddress, dropoffLat, dropoffLng,
+      deliveryDate, deliveryTime, slotId,
+      customerName, customerPhone,
+      productDescription, productWeight, codAmount
+    } = req.body;
+
+    // A booked window moves by switching slots, never by editing its times
+    if ((order.deliverySlot || slotId) && (deliveryDate !== undefined || deliveryTime !== undefined)) {
+      return res.status(400).json({ message: 'Delivery date and time come from the delivery slot; send slotId to change it' });
+    }
+
+    const changes = [];
+    const setField = (path, value, label) => {
+      if (value === undefined) return;
+      order.set(path, value);
+      if (!changes.includes(label)) changes.push(label);
+    };
+
+    setField('pickupLocation.address', pickupAddress, 'pickup address');
+    setField('pickupLocation.coordinates.latitude', parseCoordinate(pickupLat), 'pickup address');
+    setField('pickupLocation.coordinates.longitude', parseCoordinate(pickupLng), 'pickup address');
+    setField('dropoffLocation.address', dropoffAddress, 'dropoff address');
+    setField('dropoffLocation.coordinates.latitude', parseCoordinate(dropoffLat), 'dropoff address');
+    setField('dropoffLocation.coordinates.longitude', parseCoordinate(dropoffLng), 'dropoff address');
+    setField('deliveryDate', deliveryDate && new Date(deliveryDate), 'delivery window');
+    setField('deliveryTime', deliveryTime, 'delivery window');
+    setField('customer.name', customerName, 'customer');
+    setField('customer.phone', customerPhone, 'customer');
+    setField('product.description', productDescription, 'product');
+    setField('product.weight', productWeight !== undefined ? parseFloat(productWeight) : undefined, 'product');
+    setField('cashOnDelivery.amount', codAmount !== undefined ? roundMoney(parseFloat(codAmount)) : undefined, 'cash on delivery');
+
+    let newSlot = null;
+    if (slotId && !order.deliverySlot?.equals(slotId)) {
+      const { slot, error } = await findBookableSlot(slotId, order.dropoffLocation.coordinates);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      newSlot = slot;
+      changes.push('delivery window');
+    } else if (order.deliverySlot && changes.includes('dropoff address')) {
+      const currentSlot = await DeliverySlot.findById(order.deliverySlot);
+      if (currentSlot && !(await isInSlotZone(currentSlot, order.dropoffLocation.coordinates))) {
+        return res.status(400).json({ message: 'Dropoff address is outside the delivery slot zone' });
+      }
+    }
+
+    if (changes.length === 0) {
+      return res.status(400).json({ message: 'No changes provided' });
+    }
+
+    const previousSlot = order.deliverySlot;
+    if (newSlot) {
+      if (!(await reserveSlot(newSlot._id))) {
+        return res.status(409).json({ message: 'Delivery slot is full' });
+      }
+      applySlot(order, newSlot);
+    }
+
+    // Re-price unpaid orders whose route, weight or window changed
+    const affectsPrice = changes.some((change) => !['customer', 'cash on delivery'].includes(change));
+    if (affectsPrice && order.paymentStatus !== 'paid') {
+      order.pricing = calculateQuote(await getPricingConfig(), quoteInputFromOrder(order));
+    }
+
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      notes: `Order updated: ${changes.join(', ')}`
+    });
+
+    try {
+      await order.save();
+    } catch (error) {
+      if (newSlot) await releaseSlot(newSlot._id);
+      throw error;
+    }
+    if (newSlot) await releaseSlot(previousSlot);
 
-    // Emit real-time update
     global.io.to(`order-${order._id}`).emit('status-update', {
       orderId: order._id,
-      status,
+      status: order.status,
       timestamp: new Date(),
-      location: { latitude, longitude }
+      updated: changes,
+      eta: await refreshEta(order)
     });
 
-    res.json({ message: 'Order status updated successfully', order });
+    res.json({ message: 'Order updated successfully', order });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rate the delivery of an order (business)
+router.post('/:orderId/rating', allowApiKey('orders:write'), auth, authorize('business'), [
+  body('score').isInt({ min: 1, max: 5 }),
+  body('comment').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findOne({ _id: req.params.orderId, business: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const { rating, error } = await submitRating(order, 'business', req.body);
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thanks for your feedback', rating });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// PDF delivery receipt for the business that placed the order, or an admin
+router.get('/:orderId/receipt', allowApiKey('orders:read'), auth, authorize('business', 'admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('business', 'profile businessInfo')
+      .populate('rider', 'profile');
+
+    if (!order || (req.user.role === 'business' && !order.business._id.equals(req.user._id))) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    await sendPdf(res, `receipt-${order.trackingCode}.pdf`, (doc) => renderReceipt(doc, order));
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Get order details
-router.get('/:orderId', auth, async (req, res) => {
+router.get('/:orderId', allowApiKey('orders:read'), auth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.orderId)
+      .select('+deliveryOtp.code')
       .populate('business', 'profile businessInfo')
       .populate('rider', 'profile riderInfo');
 
@@ -195,7 +652,8 @@ router.get('/:orderId', auth, async (req, res) => {
     }
 
     // Check if user has permission to view this order
-    const canView = order.business._id.equals(req.user._id) || 
+    const isOwner = order.business._id.equals(req.user._id);
+    const canView = isOwner || 
                    (order.rider && order.rider._id.equals(req.user._id)) ||
                    req.user.role === 'admin';
 
@@ -203,7 +661,12 @@ router.get('/:orderId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json({ order });
+    // The delivery code is for the customer, never the rider
+    const result = isOwner || req.user.role === 'admin' ? order.toObject() : riderOrderView(order);
+    // The stored estimate, kept current by rider pings and status changes
+    result.eta = ACTIVE_STATUSES.includes(order.status) && order.eta?.calculatedAt ? order.eta : null;
+
+    res.json({ order: result });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -0,0 +1,242 @@
+const express = require('express');
+const Order = require('../models/Order');
+const { auth, authorize } = require('../middleware/auth');
+const {
+  stripe, CURRENCY, DEFAULT_DELIVERY_FEE,
+  toMinorUnits, fromMinorUnits, constructWebhookEvent
+} = require('../utils/stripe');
+
+const router = express.Router();
+
+// Payment status each Stripe event moves an order to
+const EVENT_STATUS = {
+  'payment_intent.processing': 'pending',
+  'payment_intent.succeeded': 'paid',
+  'payment_intent.payment_failed': 'failed',
+  'payment_intent.canceled': 'failed',
+  'charge.refunded': 'refunded'
+};
+
+// Payment statuses an order may move to from its current one
+const ALLOWED_PAYMENT_TRANSITIONS = {
+  pending: ['paid', 'failed'],
+  failed: ['pending', 'paid'],
+  paid: ['refunded'],
+  refunded: []
+};
+
+const TIMELINE_NOTES = {
+  pending: 'Payment processing',
+  paid: 'Payment received',
+  failed: 'Payment failed',
+  refunded: 'Payment refunded'
+};
+
+// Stripe only accepts a new amount before the payment is being processed
+const AMOUNT_EDITABLE_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+const paymentSummary = (order) => ({
+  orderId: order._id,
+  paymentStatus: order.paymentStatus,
+  amount: order.payment?.amount,
+  currency: order.payment?.currency,
+  paidAt: order.payment?.paidAt,
+  refundedAmount: order.payment?.refundedAmount,
+  refundedAt: order.payment?.refundedAt
+});
+
+// Record a succeeded PaymentIntent on the order; caller saves
+const markPaid = (order, paymentIntent) => {
+  order.paymentStatus = 'paid';
+  order.payment.paidAt = new Date();
+  if (paymentIntent.amount_received) order.payment.amount = fromMinorUnits(paymentIntent.amount_received);
+};
+
+// Create (or reuse) a PaymentIntent for an order
+router.post('/orders/:orderId/intent', auth, authorize('business'), async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, business: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.paymentStatus === 'paid' || order.paymentStatus === 'refunded') {
+      return res.status(400).json({ message: `Order payment is already ${order.paymentStatus}` });
+    }
+
+    if (order.pricing?.distanceUnknown) {
+      return res.status(400).json({ message: 'Add pickup and dropoff coordinates so the distance can be priced' });
+    }
+
+    const amount = order.pricing?.total ?? DEFAULT_DELIVERY_FEE;
+
+    if (order.payment?.paymentIntentId) {
+      let existing = await stripe.paymentIntents.retrieve(order.payment.paymentIntentId);
+
+      // Paid before the webhook arrived: record it rather than charge again
+      if (existing.status === 'succeeded') {
+        markPaid(order, existing);
+        order.timeline.push({ status: order.status, timestamp: new Date(), notes: TIMELINE_NOTES.paid });
+        await order.save();
+        return res.status(409).json({ message: 'Order payment is already paid', ...paymentSummary(order) });
+      }
+
+      // Only a cancelled intent is replaced with a new one
+      if (existing.status !== 'canceled') {
+        // The order may have been re-priced since the intent was created
+        if (AMOUNT_EDITABLE_STATUSES.includes(existing.status) && existing.amount !== toMinorUnits(amount)) {
+          existing = await stripe.paymentIntents.update(existing.id, { amount: toMinorUnits(amount) });
+          order.payment.amount = amount;
+          await order.save();
+        }
+
+        return res.json({
+          clientSecret: existing.client_secret,
+          paymentIntentId: existing.id,
+          ...paymentSummary(order)
+        });
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toMinorUnits(amount),
+      currency: order.pricing?.currency || CURRENCY,
+      automatic_payment_methods: { enabled: true },
+      metadata: {
+        orderId: order._id.toString(),
+        businessId: req.user._id.toString()
+      }
+    });
+
+    order.payment = {
+      ...(order.payment ? order.payment.toObject() : {}),
+      paymentIntentId: paymentIntent.id,
+      amount,
+      currency: order.pricing?.currency || CURRENCY
+    };
+    order.paymentStatus = 'pending';
+    await order.save();
+
+    res.status(201).json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      ...paymentSummary(order)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get payment status of an order
+router.get('/orders/:orderId', auth, authorize('business', 'admin'), async (req, res) => {
+  try {
+    const query = { _id: req.params.orderId };
+    if (req.user.role === 'business') query.business = req.user._id;
+
+    const order = await Order.findOne(query);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.json({ payment: paymentSummary(order) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Refund a paid order (admin); the webhook marks it refunded
+router.post('/orders/:orderId/refund', auth, authorize('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.paymentStatus !== 'paid' || !order.payment?.paymentIntentId) {
+      return res.status(400).json({ message: 'Only paid orders can be refunded' });
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: order.payment.paymentIntentId,
+      metadata: { orderId: order._id.toString(), reason: req.body.reason || '' }
+    });
+
+    res.json({ message: 'Refund requested', refundId: refund.id, status: refund.status });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Stripe webhook; server.js hands this route the raw body for signature checks
+router.post('/webhook', async (req, res) => {
+  let event;
+  try {
+    event = constructWebhookEvent(req.body, req.header('Stripe-Signature'));
+  } catch (error) {
+    return res.status(400).json({ message: `Webhook signature verification failed: ${error.message}` });
+  }
+
+  try {
+    if (!EVENT_STATUS[event.type]) {
+      return res.json({ received: true });
+    }
+
+    const object = event.data.object;
+    // A partial refund leaves the order paid; only the refunded amount is recorded
+    const partialRefund = event.type === 'charge.refunded' && object.amount_refunded < object.amount;
+    const nextStatus = partialRefund ? 'paid' : EVENT_STATUS[event.type];
+    const paymentIntentId = event.type === 'charge.refunded' ? object.payment_intent : object.id;
+    const orderId = object.metadata?.orderId;
+
+    const order = orderId
+      ? await Order.findById(orderId)
+      : await Order.findOne({ 'payment.paymentIntentId': paymentIntentId });
+
+    if (!order) {
+      return res.json({ received: true, message: 'No matching order' });
+    }
+
+    // Stripe retries deliveries; ignore events already applied or out of order
+    const allowed = partialRefund
+      ? order.paymentStatus === 'paid'
+      : (ALLOWED_PAYMENT_TRANSITIONS[order.paymentStatus] || []).includes(nextStatus);
+    if (order.payment?.lastEventId === event.id || !allowed) {
+      return res.json({ received: true });
+    }
+
+    order.paymentStatus = nextStatus;
+    order.payment = {
+      ...(order.payment ? order.payment.toObject() : {}),
+      paymentIntentId,
+      lastEventId: event.id
+    };
+    if (event.type === 'charge.refunded') {
+      order.payment.refundedAmount = fromMinorUnits(object.amount_refunded);
+    } else if (nextStatus === 'paid') {
+      markPaid(order, object);
+    }
+    if (nextStatus === 'refunded') order.payment.refundedAt = new Date();
+
+    order.timeline.push({
+      status: order.status,
+      timestamp: new Date(),
+      notes: partialRefund
+        ? `Payment partially refunded (${order.payment.refundedAmount} of ${fromMinorUnits(object.amount)})`
+        : TIMELINE_NOTES[nextStatus]
+    });
+
+    await order.save();
+
+    global.io.to(`order-${order._id}`).emit('payment-update', {
+      orderId: order._id,
+      paymentStatus: nextStatus,
+      timestamp: new Date()
+    });
+
+    res.json({ received: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
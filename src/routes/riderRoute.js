@@ -1,7 +1,26 @@
 const express = require('express');
 const Order = require('../models/Order');
 const RiderLocation = require('../models/RiderLocation');
+const DeliveryRun = require('../models/DeliveryRun');
 const { auth, authorize } = require('../middleware/auth');
+const { canTransition, transitionError, applyTransition, releaseRider } = require('../utils/orderStatus');
+const { acceptOffer, declineOffer } = require('../utils/dispatch');
+const { creditFailedDelivery, earningsTotals } = require('../utils/earnings');
+const { cashBalance } = require('../utils/cash');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const CashEntry = require('../models/CashEntry');
+const Rating = require('../models/Rating');
+const Shift = require('../models/Shift');
+const OnlineSession = require('../models/OnlineSession');
+const { publishOrderEvent } = require('../utils/orderEvents');
+const { refreshEta } = require('../utils/eta');
+const { isValidPosition, updateRiderLocation } = require('../utils/riderLocation');
+const { broadcastFleetUpdate } = require('../utils/fleet');
+const { sortedStops, nextStop, syncRunStops } = require('../utils/deliveryRuns');
+const { afterStatusChange } = require('../utils/orderLifecycle');
+const { riderOrderView } = require('../utils/proofOfDelivery');
+const { currentShift, recordOnlineChange, enforceShiftEnd, shiftReport } = require('../utils/shifts');
 const moment = require('moment');
 
 const router = express.Router();
@@ -9,27 +28,31 @@ const router = express.Router();
 // Update rider location
 router.post('/location', auth, authorize('rider'), async (req, res) => {
   try {
-    const { latitude, longitude, isOnline } = req.body;
+    const latitude = parseFloat(req.body.latitude);
+    const longitude = parseFloat(req.body.longitude);
+    const { isOnline } = req.body;
 
-    const location = await RiderLocation.findOneAndUpdate(
-      { rider: req.user._id },
-      {
-        location: { latitude, longitude },
-        isOnline: isOnline !== undefined ? isOnline : true
-      },
-      { new: true, upsert: true }
-    );
+    if (!isValidPosition(latitude, longitude)) {
+      return res.status(400).json({ message: 'Valid latitude and longitude are required' });
+    }
+
+    const online = isOnline === undefined ? true : isOnline === true || isOnline === 'true';
+    const shiftEnd = online ? await enforceShiftEnd(req.user._id) : {};
+    const change = shiftEnd.error ? {} : await recordOnlineChange(req.user._id, online);
+    const error = shiftEnd.error || change.error;
 
-    // Emit location update for current order
-    if (location.currentOrder) {
-      global.io.to(`order-${location.currentOrder}`).emit('location-update', {
-        orderId: location.currentOrder,
-        location: { latitude, longitude },
-        timestamp: new Date()
-      });
+    // The position is kept even when the rider may not be online
+    const location = await updateRiderLocation(req.user._id, {
+      latitude,
+      longitude,
+      isOnline: online && !error
+    });
+
+    if (error) {
+      return res.status(403).json({ message: error, isOnline: false, location });
     }
 
-    res.json({ message: 'Location updated successfully', location });
+    res.json({ message: 'Location updated successfully', location, warning: shiftEnd.warning || change.warning });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -56,7 +79,8 @@ router.get('/dashboard', auth, authorize('rider'), async (req, res) => {
         pending: await Order.countDocuments({ 
           rider: req.user._id,
           status: { $in: ['assigned', 'picked_up', 'in_transit'] }
-        })
+        }),
+        earnings: await earningsTotals(req.user._id, { from: today.toDate() })
       },
       thisWeek: {
         total: await Order.countDocuments({ 
@@ -67,7 +91,8 @@ router.get('/dashboard', auth, authorize('rider'), async (req, res) => {
           rider: req.user._id,
           status: 'delivered',
           actualDeliveryTime: { $gte: thisWeek.toDate() }
-        })
+        }),
+        earnings: await earningsTotals(req.user._id, { from: thisWeek.toDate() })
       },
       thisMonth: {
         total: await Order.countDocuments({ 
@@ -83,7 +108,8 @@ router.get('/dashboard', auth, authorize('rider'), async (req, res) => {
           rider: req.user._id,
           status: { $in: ['cancelled', 'failed'] },
           createdAt: { $gte: thisMonth.toDate() }
-        })
+        }),
+        earnings: await earningsTotals(req.user._id, { from: thisMonth.toDate() })
       },
       allTime: {
         total: await Order.countDocuments({ rider: req.user._id }),
@@ -91,15 +117,21 @@ router.get('/dashboard', auth, authorize('rider'), async (req, res) => {
         cancelled: await Order.countDocuments({ 
           rider: req.user._id,
           status: { $in: ['cancelled', 'failed'] }
-        })
-      }
+        }),
+        earnings: await earningsTotals(req.user._id)
+      },
+      cashInHand: (await cashBalance(req.user._id)).balance,
+      rating: req.user.riderInfo?.rating || null,
+      currentShift: await currentShift(req.user._id)
     };
 
     // Get current active order
     const currentOrder = await Order.findOne({
       rider: req.user._id,
       status: { $in: ['assigned', 'picked_up', 'in_transit'] }
-    }).populate('business', 'profile businessInfo');
+    })
+      .select('-trackingCode')
+      .populate('business', 'profile businessInfo');
 
     res.json({ stats, currentOrder });
   } catch (error) {
@@ -107,6 +139,295 @@ router.get('/dashboard', auth, authorize('rider'), async (req, res) => {
   }
 });
 
+// Date range for statement queries: ?period=today|week|month or ?from=&to=
+const statementRange = ({ period, from, to }) => {
+  if (period === 'today') return { from: moment().startOf('day').toDate() };
+  if (period === 'week') return { from: moment().startOf('week').toDate() };
+  if (period === 'month') return { from: moment().startOf('month').toDate() };
+
+  return {
+    from: from ? moment(from).startOf('day').toDate() : undefined,
+    to: to ? moment(to).endOf('day').toDate() : undefined
+  };
+};
+
+const dateRangeQuery = ({ from, to }) => {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+// Get earnings ledger entries and totals
+router.get('/earnings', auth, authorize('rider'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const range = statementRange(req.query);
+    const query = { rider: req.user._id };
+
+    if (status) query.status = status;
+    const createdAt = dateRangeQuery(range);
+    if (createdAt) query.createdAt = createdAt;
+
+    const entries = await EarningEntry.find(query)
+      .populate('order', 'dropoffLocation.address status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await EarningEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      totals: await earningsTotals(req.user._id, range),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get payout statements
+router.get('/earnings/statements', auth, authorize('rider'), async (req, res) => {
+  try {
+    const query = { 'riders.rider': req.user._id };
+    const createdAt = dateRangeQuery(statementRange(req.query));
+    if (createdAt) query.createdAt = createdAt;
+
+    const batches = await PayoutBatch.find(query).sort({ createdAt: -1 });
+
+    const statements = batches.map((batch) => {
+      const line = batch.riders.find((rider) => rider.rider.equals(req.user._id));
+      return {
+        batchId: batch._id,
+        periodEnd: batch.periodEnd,
+        paidAt: batch.createdAt,
+        reference: batch.reference,
+        amount: line.amount,
+        entryCount: line.entryCount
+      };
+    });
+
+    res.json({ statements });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get ledger entries settled in one payout
+router.get('/earnings/statements/:batchId', auth, authorize('rider'), async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findOne({ _id: req.params.batchId, 'riders.rider': req.user._id });
+    if (!batch) {
+      return res.status(404).json({ message: 'Statement not found' });
+    }
+
+    const line = batch.riders.find((rider) => rider.rider.equals(req.user._id));
+    const entries = await EarningEntry.find({ rider: req.user._id, payoutBatch: batch._id })
+      .populate('order', 'dropoffLocation.address status')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      statement: {
+        batchId: batch._id,
+        periodEnd: batch.periodEnd,
+        paidAt: batch.createdAt,
+        amount: line.amount,
+        entries
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Published ratings with comments
+router.get('/ratings', auth, authorize('rider'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { rider: req.user._id, status: 'published' };
+
+    const ratings = await Rating.find(query)
+      .select('order source score comment createdAt')
+      .populate('order', 'dropoffLocation.address')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Rating.countDocuments(query);
+
+    res.json({
+      summary: req.user.riderInfo?.rating || null,
+      ratings,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Cash collected on deliveries and not yet handed in
+router.get('/cash', auth, authorize('rider'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = { rider: req.user._id };
+
+    const entries = await CashEntry.find(query)
+      .populate('order', 'dropoffLocation.address cashOnDelivery.amount')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CashEntry.countDocuments(query);
+
+    res.json({
+      totals: await cashBalance(req.user._id),
+      entries,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Published shifts that still have open places and have not started
+router.get('/shifts/available', auth, authorize('rider'), async (req, res) => {
+  try {
+    const shifts = await Shift.find({
+      status: 'published',
+      startsAt: { $gt: new Date() },
+      riders: { $ne: req.user._id },
+      $expr: { $lt: [{ $size: '$riders' }, '$riderSlots'] }
+    })
+      .select('-riders')
+      .populate('zone', 'name')
+      .sort({ startsAt: 1 })
+      .limit(100);
+
+    res.json({ shifts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Shifts the rider claimed that have not ended
+router.get('/shifts', auth, authorize('rider'), async (req, res) => {
+  try {
+    const shifts = await Shift.find({
+      riders: req.user._id,
+      status: 'published',
+      endsAt: { $gt: new Date() }
+    })
+      .select('-riders')
+      .populate('zone', 'name')
+      .sort({ startsAt: 1 });
+
+    res.json({ shifts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Claim an open place on a shift
+router.post('/shifts/:shiftId/claim', auth, authorize('rider'), async (req, res) => {
+  try {
+    const shift = await Shift.findOne({ _id: req.params.shiftId, status: 'published' });
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found' });
+    }
+    if (shift.endsAt <= new Date()) {
+      return res.status(400).json({ message: 'Shift has already ended' });
+    }
+
+    const overlapping = await Shift.exists({
+      _id: { $ne: shift._id },
+      riders: req.user._id,
+      status: 'published',
+      startsAt: { $lt: shift.endsAt },
+      endsAt: { $gt: shift.startsAt }
+    });
+    if (overlapping) {
+      return res.status(409).json({ message: 'Shift overlaps another shift you claimed' });
+    }
+
+    // Only claim while a place is free, so concurrent claims cannot overfill it
+    const claimed = await Shift.findOneAndUpdate(
+      {
+        _id: shift._id,
+        status: 'published',
+        riders: { $ne: req.user._id },
+        $expr: { $lt: [{ $size: '$riders' }, '$riderSlots'] }
+      },
+      { $push: { riders: req.user._id } },
+      { new: true }
+    ).select('-riders');
+
+    if (!claimed) {
+      return res.status(409).json({ message: 'Shift is full or already claimed' });
+    }
+
+    res.json({ message: 'Shift claimed successfully', shift: claimed });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Give a claimed shift back before it starts
+router.post('/shifts/:shiftId/release', auth, authorize('rider'), async (req, res) => {
+  try {
+    const shift = await Shift.findOneAndUpdate(
+      { _id: req.params.shiftId, riders: req.user._id, startsAt: { $gt: new Date() } },
+      { $pull: { riders: req.user._id } },
+      { new: true }
+    ).select('-riders');
+
+    if (!shift) {
+      return res.status(400).json({ message: 'Only claimed shifts that have not started can be released' });
+    }
+
+    res.json({ message: 'Shift released successfully', shift });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Online hours, idle time and utilization for a period (default this week)
+router.get('/shifts/report', auth, authorize('rider'), async (req, res) => {
+  try {
+    const range = statementRange(req.query);
+    const from = range.from || moment().startOf('week').toDate();
+    const to = range.to || new Date();
+
+    const [report] = await shiftReport({ from, to, riderIds: [req.user._id] });
+
+    const sessions = await OnlineSession.find({
+      rider: req.user._id,
+      startedAt: { $lt: to },
+      $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+    })
+      .populate('shift', 'startsAt endsAt')
+      .sort({ startedAt: -1 })
+      .limit(200);
+
+    res.json({ period: { from, to }, report: report || null, sessions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Toggle online status
 router.post('/toggle-online', auth, authorize('rider'), async (req, res) => {
   try {
@@ -115,13 +436,143 @@ router.post('/toggle-online', auth, authorize('rider'), async (req, res) => {
       return res.status(404).json({ message: 'Location record not found' });
     }
 
+    const { error, warning } = await recordOnlineChange(req.user._id, !location.isOnline);
+    if (error) {
+      return res.status(403).json({ message: error });
+    }
+
     location.isOnline = !location.isOnline;
     await location.save();
 
+    // An offline rider cannot take the order they were offered
+    if (!location.isOnline && location.offeredOrder) {
+      await declineOffer(location.offeredOrder, req.user._id);
+    }
+
+    await broadcastFleetUpdate(location);
+
     res.json({ 
       message: `Status updated to ${location.isOnline ? 'online' : 'offline'}`,
-      isOnline: location.isOnline 
+      isOnline: location.isOnline,
+      warning
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the order currently offered by auto dispatch
+router.get('/offers', auth, authorize('rider'), async (req, res) => {
+  try {
+    const offer = await Order.findOne({
+      status: 'pending',
+      'dispatch.status': 'offered',
+      'dispatch.offeredTo': req.user._id,
+      'dispatch.offerExpiresAt': { $gt: new Date() }
+    })
+      .select('pickupLocation dropoffLocation deliveryDate deliveryTime deliveryWindow product dispatch.offerExpiresAt')
+      .populate('business', 'profile businessInfo');
+
+    res.json({ offer });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Accept an offered order
+router.post('/offers/:orderId/accept', auth, authorize('rider'), async (req, res) => {
+  try {
+    const order = await acceptOffer(req.params.orderId, req.user._id);
+    if (!order) {
+      return res.status(409).json({ message: 'Offer is no longer available' });
+    }
+
+    global.io.to(`order-${order._id}`).emit('status-update', {
+      orderId: order._id,
+      status: 'assigned',
+      timestamp: new Date(),
+      eta: await refreshEta(order)
     });
+    publishOrderEvent('assigned', order);
+
+    res.json({ message: 'Order accepted', order: riderOrderView(order) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Decline an offered order
+router.post('/offers/:orderId/decline', auth, authorize('rider'), async (req, res) => {
+  try {
+    const order = await declineOffer(req.params.orderId, req.user._id);
+    if (!order) {
+      return res.status(409).json({ message: 'Offer is no longer available' });
+    }
+
+    res.json({ message: 'Order declined' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Current delivery run with its stops in driving order
+router.get('/runs/current', auth, authorize('rider'), async (req, res) => {
+  try {
+    const run = await DeliveryRun.findOne({ rider: req.user._id, status: 'active' })
+      .populate('stops.order', 'status customer product pickupLocation dropoffLocation deliveryTime deliveryWindow');
+    if (!run) {
+      return res.status(404).json({ message: 'No active delivery run' });
+    }
+
+    res.json({ run: { ...run.toObject(), stops: sortedStops(run) }, nextStop: nextStop(run) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Collect the parcel at a pickup stop of the current run. Dropoff stops are
+// completed by delivering the order, so the customer OTP is still checked.
+router.post('/runs/current/stops/:stopId/complete', auth, authorize('rider'), async (req, res) => {
+  try {
+    const { notes, latitude, longitude } = req.body;
+
+    const run = await DeliveryRun.findOne({ rider: req.user._id, status: 'active' });
+    if (!run) {
+      return res.status(404).json({ message: 'No active delivery run' });
+    }
+
+    const stop = run.stops.id(req.params.stopId);
+    if (!stop) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    if (stop.status !== 'pending') {
+      return res.status(409).json({ message: `Stop is already ${stop.status}` });
+    }
+
+    if (stop.type === 'dropoff') {
+      return res.status(400).json({ message: 'Complete dropoff stops by delivering the order with its OTP' });
+    }
+
+    const order = await Order.findOne({ _id: stop.order, rider: req.user._id });
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!canTransition(order.status, 'picked_up')) {
+      return res.status(409).json({ message: transitionError(order.status, 'picked_up') });
+    }
+
+    applyTransition(order, 'picked_up', {
+      notes: notes || 'Picked up on delivery run',
+      location: latitude && longitude ? { latitude, longitude } : undefined
+    });
+
+    await order.save();
+    await afterStatusChange(order, 'picked_up', { latitude, longitude });
+
+    const updated = await DeliveryRun.findById(run._id);
+    res.json({ message: 'Stop completed', run: updated, nextStop: nextStop(updated) });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -137,31 +588,32 @@ router.post('/orders/:orderId/fail', auth, authorize('rider'), async (req, res)
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    order.status = 'failed';
+    if (!canTransition(order.status, 'failed')) {
+      return res.status(409).json({ message: transitionError(order.status, 'failed') });
+    }
+
     order.failureReason = reason;
-    order.timeline.push({
-      status: 'failed',
-      timestamp: new Date(),
-      notes: `Delivery failed: ${reason}`
-    });
+    applyTransition(order, 'failed', { notes: `Delivery failed: ${reason}` });
 
     await order.save();
 
     // Update rider location to remove current order
-    await RiderLocation.findOneAndUpdate(
-      { rider: req.user._id },
-      { $unset: { currentOrder: 1 } }
-    );
+    await releaseRider(req.user._id, order._id);
+    await syncRunStops(order);
+
+    await creditFailedDelivery(order);
 
     // Emit status update
     global.io.to(`order-${order._id}`).emit('status-update', {
       orderId: order._id,
       status: 'failed',
       timestamp: new Date(),
-      reason
+      reason,
+      eta: await refreshEta(order)
     });
+    publishOrderEvent('failed', order, { reason });
 
-    res.json({ message: 'Order marked as failed', order });
+    res.json({ message: 'Order marked as failed', order: riderOrderView(order) });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
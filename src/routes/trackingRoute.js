@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const RiderLocation = require('../models/RiderLocation');
+const Rating = require('../models/Rating');
+const { ACTIVE_STATUSES } = require('../utils/orderStatus');
+const { orderWindow } = require('../utils/deliverySlots');
+const { ratingClosesAt, ratingWindowError, ratingTokenMatches, submitRating } = require('../utils/ratings');
+
+const router = express.Router();
+
+// Read-only view of an order for the end customer, who has no account
+const buildTrackingView = async (order) => {
+  let riderLocation = null;
+  if (order.rider && ACTIVE_STATUSES.includes(order.status)) {
+    // On a run the rider carries this order even while heading to another stop
+    const carrying = [{ currentOrder: order._id }];
+    if (order.deliveryRun) carrying.push({ currentRun: order.deliveryRun });
+    const location = await RiderLocation.findOne({ rider: order.rider._id, $or: carrying });
+    if (location) {
+      riderLocation = {
+        latitude: location.location.latitude,
+        longitude: location.location.longitude,
+        updatedAt: location.updatedAt
+      };
+    }
+  }
+
+  // The stored estimate, kept current by rider pings and status changes; this
+  // public view never writes to the order
+  const estimate = ACTIVE_STATUSES.includes(order.status) && order.eta?.calculatedAt ? order.eta : null;
+
+  const requested = orderWindow(order);
+  const rated = order.status === 'delivered' && await Rating.exists({ order: order._id, source: 'customer' });
+
+  return {
+    trackingCode: order.trackingCode,
+    status: order.status,
+    business: order.business?.businessInfo?.businessName,
+    rider: order.rider ? { name: order.rider.profile?.name } : null,
+    dropoffAddress: order.dropoffLocation.address,
+    timeline: order.timeline.map(({ status, timestamp, notes }) => ({ status, timestamp, notes })),
+    eta: {
+      deliveryDate: order.deliveryDate,
+      deliveryTime: order.deliveryTime,
+      windowStart: requested?.start,
+      windowEnd: requested?.end,
+      deliveredAt: order.actualDeliveryTime,
+      estimatedPickupAt: estimate?.pickupAt || undefined,
+      estimatedDeliveryAt: estimate?.dropoffAt || undefined,
+      late: estimate?.late
+    },
+    riderLocation,
+    proofOfDelivery: order.status === 'delivered'
+      ? {
+        photo: order.proofOfDelivery?.photo,
+        recipientName: order.proofOfDelivery?.recipientName,
+        otpVerified: order.proofOfDelivery?.otpVerified
+      }
+      : undefined,
+    rating: order.status === 'delivered'
+      ? { submitted: !!rated, open: !rated && !ratingWindowError(order), closesAt: ratingClosesAt(order) }
+      : undefined
+  };
+};
+
+const findByTrackingCode = (trackingCode) => {
+  return Order.findOne({ trackingCode })
+    .populate('business', 'businessInfo.businessName')
+    .populate('rider', 'profile.name');
+};
+
+// Public tracking view
+router.get('/:trackingCode', async (req, res) => {
+  try {
+    const order = await findByTrackingCode(req.params.trackingCode);
+    if (!order) {
+      return res.status(404).json({ message: 'Tracking code not found' });
+    }
+
+    res.json({ tracking: await buildTrackingView(order) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Customer feedback on a delivered order. The tracking code alone is not
+// enough: the business and rider know it too.
+router.post('/:trackingCode/rating', [
+  body('token').isString().notEmpty(),
+  body('score').isInt({ min: 1, max: 5 }),
+  body('comment').optional().isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findOne({ trackingCode: req.params.trackingCode }).select('+ratingToken');
+    if (!order) {
+      return res.status(404).json({ message: 'Tracking code not found' });
+    }
+    if (!ratingTokenMatches(order, req.body.token)) {
+      return res.status(403).json({ message: 'Invalid rating token' });
+    }
+
+    const { error } = await submitRating(order, 'customer', req.body);
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+
+    res.status(201).json({ message: 'Thanks for your feedback' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+module.exports = router;
+module.exports.findByTrackingCode = findByTrackingCode;
+module.exports.buildTrackingView = buildTrackingView;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+
+const { API_KEY_SCOPES } = ApiKey;
+const API_KEY_PREFIX = 'dk_';
+const RATE_WINDOW_MS = 60 * 1000;
+// lastUsedAt is only written when older than this, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), keyHash: hashToken(key) };
+};
+
+// API keys arrive in X-API-Key or as a bearer token with the key prefix
+const apiKeyFromRequest = (req) => {
+  const header = req.header('X-API-Key');
+  if (header) return header;
+
+  const bearer = req.header('Authorization')?.replace('Bearer ', '');
+  return bearer?.startsWith(API_KEY_PREFIX) ? bearer : null;
+};
+
+// Resolves { user, apiKey } or { error }, like authenticate() for JWTs
+const authenticateApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return { error: 'Invalid or revoked API key.' };
+  }
+
+  const user = await User.findById(apiKey.business).select('-password');
+  if (!user || !user.isActive || user.role !== 'business') {
+    return { error: 'Invalid API key or business inactive.' };
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = ip;
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: apiKey.lastUsedAt, lastUsedIp: ip });
+  }
+
+  return { user, apiKey };
+};
+
+// Verifies the request's API key once; the IP rate limiter and auth share the result
+const verifyRequestApiKey = (req) => {
+  if (!req.apiKeyAuth) {
+    req.apiKeyAuth = authenticateApiKey(apiKeyFromRequest(req), req.ip);
+  }
+  return req.apiKeyAuth;
+};
+
+// Fixed one-minute windows per key, kept in process memory. Each instance
+// counts separately when the API runs on several.
+const rateWindows = new Map();
+
+const consumeRateLimit = (apiKey) => {
+  const now = Date.now();
+  const windowStart = now - (now % RATE_WINDOW_MS);
+  const id = apiKey._id.toString();
+
+  let window = rateWindows.get(id);
+  if (!window || window.start !== windowStart) {
+    window = { start: windowStart, count: 0 };
+    rateWindows.set(id, window);
+  }
+  window.count += 1;
+
+  const limit = apiKey.rateLimitPerMinute;
+  return {
+    allowed: window.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: windowStart + RATE_WINDOW_MS
+  };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  generateApiKey,
+  apiKeyFromRequest,
+  authenticateApiKey,
+  verifyRequestApiKey,
+  consumeRateLimit
+};
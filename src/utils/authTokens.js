@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { hashToken } = require('./tokens');
+const { sendTemplate, appLink } = require('./mailer');
+
+// Lifetime of each emailed token type, in hours
+const TOKEN_TTL_HOURS = {
+  email_verification: 48,
+  password_reset: 1,
+  rider_invite: 72
+};
+
+// Issue a fresh token, invalidating earlier unused ones of the same type
+const issueAuthToken = async (userId, type) => {
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await new AuthToken({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_HOURS[type] * 60 * 60 * 1000)
+  }).save();
+
+  return token;
+};
+
+// Mark a valid token as used and return it, or null if invalid/expired/used
+const consumeAuthToken = (token, type) => {
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token)), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'email_verification');
+  return sendTemplate('verifyEmail', user.email, {
+    name: user.profile?.name || user.email,
+    link: appLink('/verify-email', token),
+    expiresInHours: TOKEN_TTL_HOURS.email_verification
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'password_reset');
+  return sendTemplate('resetPassword', user.email, {
+    name: user.profile?.name || user.email,
+    link: appLink('/reset-password', token),
+    expiresInHours: TOKEN_TTL_HOURS.password_reset
+  });
+};
+
+const sendRiderInvite = async (user) => {
+  const token = await issueAuthToken(user._id, 'rider_invite');
+  return sendTemplate('riderInvite', user.email, {
+    name: user.profile?.name || user.email,
+    link: appLink('/accept-invite', token),
+    expiresInHours: TOKEN_TTL_HOURS.rider_invite
+  });
+};
+
+module.exports = {
+  TOKEN_TTL_HOURS,
+  issueAuthToken,
+  consumeAuthToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendRiderInvite
+};
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const CashEntry = require('../models/CashEntry');
+const CodRemittance = require('../models/CodRemittance');
+const Order = require('../models/Order');
+const { ACTIVE_STATUSES } = require('./orderStatus');
+const { roundMoney } = require('./pricing');
+const { CURRENCY } = require('./stripe');
+
+const codAmount = (order) => order.cashOnDelivery?.amount || 0;
+
+const isCashOnDelivery = (order) => codAmount(order) > 0;
+
+// Why the collected amount a rider confirms cannot be accepted, or null.
+// A different amount than expected is accepted and shows up in reconciliation.
+const collectionError = (order, collectedAmount) => {
+  if (!isCashOnDelivery(order)) return null;
+
+  if (collectedAmount === undefined || collectedAmount === '') {
+    return `Confirm the cash collected: ${codAmount(order)} is due on delivery`;
+  }
+  const amount = parseFloat(collectedAmount);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return 'collectedAmount must be a positive number or zero';
+  }
+  return null;
+};
+
+// Note the confirmed amount on the order; caller saves
+const setCollectedAmount = (order, collectedAmount) => {
+  if (!isCashOnDelivery(order)) return;
+  order.cashOnDelivery.collectedAmount = roundMoney(parseFloat(collectedAmount));
+  order.cashOnDelivery.collectedAt = new Date();
+};
+
+// Add a delivered order's cash to the rider's balance, once per order
+const recordCollection = async (order) => {
+  const collected = order.cashOnDelivery?.collectedAmount;
+  if (!isCashOnDelivery(order) || !collected) return null;
+
+  try {
+    return await new CashEntry({
+      rider: order.rider,
+      order: order._id,
+      business: order.business._id || order.business,
+      type: 'collection',
+      amount: collected,
+      currency: order.pricing?.currency || CURRENCY,
+      description: collected === codAmount(order)
+        ? 'Cash collected on delivery'
+        : `Cash collected on delivery (${codAmount(order)} expected)`
+    }).save();
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Cash a rider holds now, and the movements that make it up
+const cashBalance = async (riderId, { from, to } = {}) => {
+  const match = { rider: new mongoose.Types.ObjectId(riderId) };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const rows = await CashEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const totals = { balance: 0, collection: 0, handover: 0, adjustment: 0, entries: 0 };
+  rows.forEach((row) => {
+    totals[row._id] = roundMoney(row.amount);
+    totals.balance = roundMoney(totals.balance + row.amount);
+    totals.entries += row.count;
+  });
+  return totals;
+};
+
+// Per rider: cash expected and confirmed on COD deliveries in the period, what
+// was handed over, and what each rider holds right now
+const cashReconciliation = async ({ from, to }) => {
+  const deliveredMatch = { status: 'delivered', 'cashOnDelivery.amount': { $gt: 0 } };
+  const entryMatch = {};
+  if (from || to) {
+    deliveredMatch.actualDeliveryTime = {};
+    entryMatch.createdAt = {};
+    if (from) {
+      deliveredMatch.actualDeliveryTime.$gte = from;
+      entryMatch.createdAt.$gte = from;
+    }
+    if (to) {
+      deliveredMatch.actualDeliveryTime.$lte = to;
+      entryMatch.createdAt.$lte = to;
+    }
+  }
+
+  const deliveries = await Order.aggregate([
+    { $match: deliveredMatch },
+    {
+      $group: {
+        _id: '$rider',
+        orders: { $sum: 1 },
+        expected: { $sum: '$cashOnDelivery.amount' },
+        collected: { $sum: { $ifNull: ['$cashOnDelivery.collectedAmount', 0] } },
+        shortOrders: {
+          $sum: {
+            $cond: [{ $lt: [{ $ifNull: ['$cashOnDelivery.collectedAmount', 0] }, '$cashOnDelivery.amount'] }, 1, 0]
+          }
+        }
+      }
+    }
+  ]);
+
+  const movements = await CashEntry.aggregate([
+    { $match: { type: { $in: ['handover', 'adjustment'] }, ...entryMatch } },
+    { $group: { _id: { rider: '$rider', type: '$type' }, amount: { $sum: '$amount' } } }
+  ]);
+
+  const balances = await CashEntry.aggregate([
+    { $group: { _id: '$rider', balance: { $sum: '$amount' } } }
+  ]);
+
+  const riders = new Map();
+  const row = (riderId) => {
+    const key = String(riderId);
+    if (!riders.has(key)) {
+      riders.set(key, {
+        rider: riderId,
+        orders: 0,
+        expected: 0,
+        collected: 0,
+        shortfall: 0,
+        shortOrders: 0,
+        handedOver: 0,
+        adjustments: 0,
+        balance: 0
+      });
+    }
+    return riders.get(key);
+  };
+
+  deliveries.forEach((delivery) => {
+    const entry = row(delivery._id);
+    entry.orders = delivery.orders;
+    entry.expected = roundMoney(delivery.expected);
+    entry.collected = roundMoney(delivery.collected);
+    entry.shortfall = roundMoney(delivery.expected - delivery.collected);
+    entry.shortOrders = delivery.shortOrders;
+  });
+  movements.forEach((movement) => {
+    const entry = row(movement._id.rider);
+    if (movement._id.type === 'handover') entry.handedOver = roundMoney(-movement.amount);
+    else entry.adjustments = roundMoney(movement.amount);
+  });
+  balances.forEach((balance) => {
+    if (balance.balance !== 0 || riders.has(String(balance._id))) {
+      row(balance._id).balance = roundMoney(balance.balance);
+    }
+  });
+
+  return [...riders.values()].sort((a, b) => b.balance - a.balance);
+};
+
+// Collected cash of one business not yet paid over to it
+const unremittedQuery = (businessId, before) => {
+  const query = {
+    business: businessId,
+    status: 'delivered',
+    'cashOnDelivery.collectedAmount': { $gt: 0 },
+    'cashOnDelivery.remittance': null
+  };
+  if (before) query['cashOnDelivery.collectedAt'] = { $lt: before };
+  return query;
+};
+
+// Pay over everything collected for a business before periodEnd in one
+// remittance; resolves to null when there is nothing to remit. Orders are
+// claimed for the remittance in one update, so concurrent runs cannot remit
+// the same cash twice.
+const runCodRemittance = async ({ business, periodEnd, reference, createdBy }) => {
+  const remittanceId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await Order.updateMany(
+    unremittedQuery(business, periodEnd),
+    { 'cashOnDelivery.remittance': remittanceId, 'cashOnDelivery.remittedAt': new Date() }
+  );
+  if (modifiedCount === 0) return null;
+
+  const orders = await Order.find({ 'cashOnDelivery.remittance': remittanceId }).select('cashOnDelivery pricing.currency');
+
+  try {
+    return await new CodRemittance({
+      _id: remittanceId,
+      business,
+      periodEnd,
+      orders: orders.map((order) => order._id),
+      orderCount: orders.length,
+      totalAmount: roundMoney(orders.reduce((sum, order) => sum + order.cashOnDelivery.collectedAmount, 0)),
+      currency: orders[0].pricing?.currency || CURRENCY,
+      reference,
+      createdBy
+    }).save();
+  } catch (error) {
+    // Give the orders back so a later run can remit them
+    await Order.updateMany(
+      { 'cashOnDelivery.remittance': remittanceId },
+      { 'cashOnDelivery.remittance': null, $unset: { 'cashOnDelivery.remittedAt': 1 } }
+    );
+    throw error;
+  }
+};
+
+// What a business is owed and has been paid for cash collected on its behalf
+const codSummary = async (businessId) => {
+  const id = new mongoose.Types.ObjectId(businessId);
+  const [rows] = await Order.aggregate([
+    { $match: { business: id, 'cashOnDelivery.amount': { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        outstanding: {
+          $sum: { $cond: [{ $in: ['$status', ['pending', ...ACTIVE_STATUSES]] }, '$cashOnDelivery.amount', 0] }
+        },
+        awaitingRemittance: {
+          $sum: {
+            $cond: [
+              { $and: [{ $eq: ['$status', 'delivered'] }, { $not: ['$cashOnDelivery.remittance'] }] },
+              { $ifNull: ['$cashOnDelivery.collectedAmount', 0] },
+              0
+            ]
+          }
+        },
+        remitted: {
+          $sum: { $cond: ['$cashOnDelivery.remittance', { $ifNull: ['$cashOnDelivery.collectedAmount', 0] }, 0] }
+        }
+      }
+    }
+  ]);
+
+  return {
+    outstanding: roundMoney(rows?.outstanding || 0),
+    awaitingRemittance: roundMoney(rows?.awaitingRemittance || 0),
+    remitted: roundMoney(rows?.remitted || 0)
+  };
+};
+
+module.exports = {
+  codAmount,
+  isCashOnDelivery,
+  collectionError,
+  setCollectedAmount,
+  recordCollection,
+  cashBalance,
+  cashReconciliation,
+  unremittedQuery,
+  runCodRemittance,
+  codSummary
+};
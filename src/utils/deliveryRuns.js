@@ -0,0 +1,254 @@
+const DeliveryRun = require('../models/DeliveryRun');
+const Order = require('../models/Order');
+const RiderLocation = require('../models/RiderLocation');
+const { ACTIVE_STATUSES } = require('./orderStatus');
+const { hasLatLng, haversineKm } = require('./geo');
+const { DEFAULT_VEHICLE_TYPE, roundMoney } = require('./pricing');
+
+// What one rider can carry per trip. Riders with an unlisted vehicle type are
+// treated as the default (smallest) vehicle.
+const VEHICLE_CAPACITY = {
+  bike: { maxOrders: 4, maxWeightKg: 20 },
+  car: { maxOrders: 8, maxWeightKg: 150 },
+  van: { maxOrders: 20, maxWeightKg: 800 }
+};
+// Smallest first: an order priced for a car cannot ride on a bike
+const VEHICLE_SIZES = ['bike', 'car', 'van'];
+const MAX_IMPROVEMENT_PASSES = 200;
+const PICKED_UP_STATUSES = ['picked_up', 'in_transit', 'delivered'];
+
+const runVehicle = (vehicleType) => (VEHICLE_CAPACITY[vehicleType] ? vehicleType : DEFAULT_VEHICLE_TYPE);
+
+const totalWeight = (orders) => roundMoney(orders.reduce((sum, order) => sum + (order.product?.weight || 0), 0));
+
+// Why these orders do not fit the vehicle, or null when they do
+const capacityError = (vehicleType, orders) => {
+  const vehicle = runVehicle(vehicleType);
+  const capacity = VEHICLE_CAPACITY[vehicle];
+
+  if (orders.length > capacity.maxOrders) {
+    return `A ${vehicle} can carry at most ${capacity.maxOrders} orders per run`;
+  }
+
+  const weight = totalWeight(orders);
+  if (weight > capacity.maxWeightKg) {
+    return `Total weight ${weight} kg exceeds the ${capacity.maxWeightKg} kg a ${vehicle} can carry`;
+  }
+
+  const oversized = orders.find((order) => {
+    const needed = order.pricing?.vehicleType || DEFAULT_VEHICLE_TYPE;
+    return VEHICLE_SIZES.indexOf(needed) > VEHICLE_SIZES.indexOf(vehicle);
+  });
+  if (oversized) {
+    return `Order ${oversized._id} needs a ${oversized.pricing.vehicleType}`;
+  }
+
+  return null;
+};
+
+const pathKm = (start, stops) => {
+  let total = 0;
+  let previous = start;
+  stops.forEach((stop) => {
+    if (previous) total += haversineKm(previous, stop.coordinates);
+    previous = stop.coordinates;
+  });
+  return total;
+};
+
+// A dropoff may only follow its order's pickup, when that pickup is still to come
+const respectsPickups = (stops) => {
+  const pendingPickups = new Set(stops.filter((stop) => stop.type === 'pickup').map((stop) => String(stop.order)));
+  const visited = new Set();
+  return stops.every((stop) => {
+    const orderId = String(stop.order);
+    if (stop.type === 'pickup') {
+      visited.add(orderId);
+      return true;
+    }
+    return !pendingPickups.has(orderId) || visited.has(orderId);
+  });
+};
+
+// Greedy route: always drive to the closest stop that may be visited next
+const nearestNeighbour = (stops, start, first) => {
+  const remaining = stops.filter((stop) => stop !== first);
+  const route = first ? [first] : [];
+  let position = first ? first.coordinates : start;
+
+  while (remaining.length > 0) {
+    const open = remaining.filter((stop) => {
+      return stop.type === 'pickup' ||
+        !remaining.some((other) => other.type === 'pickup' && String(other.order) === String(stop.order));
+    });
+    const next = position
+      ? open.reduce((best, stop) => (
+        haversineKm(position, stop.coordinates) < haversineKm(position, best.coordinates) ? stop : best
+      ))
+      : open[0];
+
+    route.push(next);
+    remaining.splice(remaining.indexOf(next), 1);
+    position = next.coordinates;
+  }
+
+  return route;
+};
+
+// Routes one local change away: a reversed sub-sequence (2-opt) or a single
+// stop moved elsewhere
+const neighbours = function* (route) {
+  for (let i = 0; i < route.length - 1; i++) {
+    for (let k = i + 1; k < route.length; k++) {
+      yield [...route.slice(0, i), ...route.slice(i, k + 1).reverse(), ...route.slice(k + 1)];
+    }
+  }
+  for (let i = 0; i < route.length; i++) {
+    const rest = [...route.slice(0, i), ...route.slice(i + 1)];
+    for (let k = 0; k <= rest.length; k++) {
+      if (k !== i) yield [...rest.slice(0, k), route[i], ...rest.slice(k)];
+    }
+  }
+};
+
+// Keep applying changes that shorten the route and keep every dropoff after
+// its pickup
+const improve = (route, start) => {
+  let best = route;
+  let bestKm = pathKm(start, best);
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+    for (const candidate of neighbours(best)) {
+      const km = pathKm(start, candidate);
+      if (km < bestKm - 1e-9 && respectsPickups(candidate)) {
+        best = candidate;
+        bestKm = km;
+        improved = true;
+        break;
+      }
+    }
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+// Shortest stop order found from `start` (the rider's position, if known).
+// Without a start every pickup is tried as the first stop.
+const sequenceStops = (stops, start) => {
+  if (stops.length === 0) return [];
+
+  const routes = hasLatLng(start)
+    ? [nearestNeighbour(stops, start)]
+    : stops.filter((stop) => stop.type === 'pickup').map((first) => nearestNeighbour(stops, null, first));
+  if (routes.length === 0) routes.push(nearestNeighbour(stops, null));
+
+  const origin = hasLatLng(start) ? start : null;
+  const greedy = routes.reduce((best, route) => (pathKm(origin, route) < pathKm(origin, best) ? route : best));
+  return improve(greedy, origin);
+};
+
+const stopsForOrder = (order) => [
+  {
+    order: order._id,
+    type: 'pickup',
+    address: order.pickupLocation.address,
+    coordinates: order.pickupLocation.coordinates
+  },
+  {
+    order: order._id,
+    type: 'dropoff',
+    address: order.dropoffLocation.address,
+    coordinates: order.dropoffLocation.coordinates
+  }
+];
+
+const sortedStops = (run) => [...run.stops].sort((a, b) => a.sequence - b.sequence);
+
+const nextStop = (run) => sortedStops(run).find((stop) => stop.status === 'pending') || null;
+
+// Re-plan the stops still pending from the rider's position; finished stops
+// keep their place at the start of the sequence
+const resequenceRun = (run, start) => {
+  const done = sortedStops(run).filter((stop) => stop.status !== 'pending');
+  const pending = sequenceStops(run.stops.filter((stop) => stop.status === 'pending'), start);
+
+  [...done, ...pending].forEach((stop, index) => {
+    stop.sequence = index + 1;
+  });
+  run.stops = [...done, ...pending];
+  run.plannedDistanceKm = roundMoney(pathKm(null, run.stops));
+  return run;
+};
+
+// Orders whose customers follow the rider right now: every unfinished order
+// of the current run, or the single current order
+const carriedOrderIds = async (location) => {
+  if (location?.currentRun) {
+    const orders = await Order.find({ deliveryRun: location.currentRun, status: { $in: ACTIVE_STATUSES } }).select('_id');
+    return orders.map((order) => order._id);
+  }
+  return location?.currentOrder ? [location.currentOrder] : [];
+};
+
+// Bring a run in line with one of its orders after a status change: complete
+// or skip that order's stops, point the rider at the next stop, and close the
+// run once nothing is pending.
+const syncRunStops = async (order) => {
+  if (!order.deliveryRun) return null;
+
+  const run = await DeliveryRun.findById(order.deliveryRun);
+  if (!run || run.status !== 'active') return run;
+
+  const now = new Date();
+  const ended = ['failed', 'cancelled'].includes(order.status);
+  run.stops.forEach((stop) => {
+    if (!stop.order.equals(order._id) || stop.status !== 'pending') return;
+
+    if (ended) {
+      stop.status = 'skipped';
+    } else if (stop.type === 'pickup' && PICKED_UP_STATUSES.includes(order.status)) {
+      stop.status = 'completed';
+    } else if (stop.type === 'dropoff' && order.status === 'delivered') {
+      stop.status = 'completed';
+    } else {
+      return;
+    }
+    stop.completedAt = now;
+  });
+
+  const next = nextStop(run);
+  if (!next) {
+    run.status = 'completed';
+    run.completedAt = now;
+  }
+  await run.save();
+
+  await RiderLocation.findOneAndUpdate(
+    { rider: run.rider, currentRun: run._id },
+    next ? { currentOrder: next.order } : { $unset: { currentRun: 1, currentOrder: 1 } }
+  );
+
+  global.io.to(`rider-${run.rider}`).emit('run-update', {
+    runId: run._id,
+    status: run.status,
+    nextStop: next
+  });
+
+  return run;
+};
+
+module.exports = {
+  VEHICLE_CAPACITY,
+  runVehicle,
+  totalWeight,
+  capacityError,
+  sequenceStops,
+  stopsForOrder,
+  sortedStops,
+  nextStop,
+  resequenceRun,
+  carriedOrderIds,
+  syncRunStops
+};
@@ -0,0 +1,149 @@
+const moment = require('moment');
+const DeliverySlot = require('../models/DeliverySlot');
+const DeliveryZone = require('../models/DeliveryZone');
+const { hasLatLng } = require('./geo');
+
+const DEFAULT_ORDERS_PER_RIDER = parseInt(process.env.SLOT_ORDERS_PER_RIDER, 10) || 4;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// With DELIVERY_SLOTS_REQUIRED=true every new order must book a slot;
+// otherwise a free-text deliveryTime is still accepted
+const isSlotRequired = () => process.env.DELIVERY_SLOTS_REQUIRED === 'true';
+
+const atTime = (day, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return moment(day).startOf('day').hours(hours).minutes(minutes).toDate();
+};
+
+// Structured window for a free-text deliveryTime: from its first to its last
+// "HH:mm" on the delivery day, or the whole day when it has no time in it. A
+// last time before the first ("22:00-02:00") ends on the next day.
+const deliveryWindowFor = (deliveryDate, deliveryTime) => {
+  if (!deliveryDate) return undefined;
+
+  const times = (deliveryTime || '').match(/\d{1,2}:\d{2}/g);
+  if (!times) {
+    return {
+      start: moment(deliveryDate).startOf('day').toDate(),
+      end: moment(deliveryDate).endOf('day').toDate()
+    };
+  }
+
+  const start = atTime(deliveryDate, times[0]);
+  const end = atTime(deliveryDate, times[times.length - 1]);
+  if (end < start) end.setDate(end.getDate() + 1);
+  return { start, end };
+};
+
+// An order's window, parsed on the fly for orders saved before windows were stored
+const orderWindow = (order) => (order.deliveryWindow?.start
+  ? order.deliveryWindow
+  : deliveryWindowFor(order.deliveryDate, order.deliveryTime));
+
+// GeoJSON polygon from one ring of [longitude, latitude] positions, closing the
+// ring when needed; null when it cannot enclose an area
+const polygonFromRing = (ring) => {
+  if (!Array.isArray(ring)) return null;
+
+  const valid = ring.every((position) => Array.isArray(position) && position.length === 2 &&
+    Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90 && position.every(Number.isFinite));
+  if (!valid) return null;
+
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  const closed = first && (first[0] !== last[0] || first[1] !== last[1]) ? [...ring, first] : ring;
+  return closed.length >= 4 ? { type: 'Polygon', coordinates: [closed] } : null;
+};
+
+const zoneAt = ({ latitude, longitude }) => DeliveryZone.findOne({
+  isActive: true,
+  area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [longitude, latitude] } } }
+});
+
+const isInSlotZone = async (slot, coordinates) => {
+  if (!hasLatLng(coordinates)) return true;
+  const zone = await zoneAt(coordinates);
+  return !!zone && zone._id.equals(slot.zone);
+};
+
+const slotView = (slot) => ({
+  id: slot._id,
+  zone: slot.zone,
+  startTime: slot.startTime,
+  endTime: slot.endTime,
+  windowStart: slot.windowStart,
+  windowEnd: slot.windowEnd,
+  capacity: slot.capacity,
+  remaining: Math.max(0, slot.capacity - slot.reserved)
+});
+
+// Slots of a zone on a day that have not started and still have room
+const availableSlots = async (zoneId, date) => {
+  const slots = await DeliverySlot.find({
+    zone: zoneId,
+    isActive: true,
+    windowStart: {
+      $gte: moment.max(moment(date).startOf('day'), moment()).toDate(),
+      $lte: moment(date).endOf('day').toDate()
+    },
+    $expr: { $lt: ['$reserved', '$capacity'] }
+  }).sort({ windowStart: 1 });
+
+  return slots.map(slotView);
+};
+
+// A slot an order can still be booked into. Returns { slot } or { error }.
+const findBookableSlot = async (slotId, dropoffCoordinates) => {
+  const slot = await DeliverySlot.findOne({ _id: slotId, isActive: true });
+  if (!slot) {
+    return { error: 'Delivery slot not found' };
+  }
+  if (slot.windowStart <= new Date()) {
+    return { error: 'Delivery slot has already started' };
+  }
+  if (slot.reserved >= slot.capacity) {
+    return { error: 'Delivery slot is full' };
+  }
+  if (!(await isInSlotZone(slot, dropoffCoordinates))) {
+    return { error: 'Dropoff address is outside the delivery slot zone' };
+  }
+  return { slot };
+};
+
+// Copy a slot's window onto an order; caller reserves the slot and saves
+const applySlot = (order, slot) => {
+  order.deliverySlot = slot._id;
+  order.deliveryDate = moment(slot.windowStart).startOf('day').toDate();
+  order.deliveryTime = `${slot.startTime}-${slot.endTime}`;
+  order.deliveryWindow = { start: slot.windowStart, end: slot.windowEnd };
+};
+
+// Take one place in the slot; resolves to null when it filled up meanwhile
+const reserveSlot = (slotId) => DeliverySlot.findOneAndUpdate(
+  { _id: slotId, isActive: true, $expr: { $lt: ['$reserved', '$capacity'] } },
+  { $inc: { reserved: 1 } },
+  { new: true }
+);
+
+const releaseSlot = (slotId) => {
+  if (!slotId) return Promise.resolve();
+  return DeliverySlot.updateOne({ _id: slotId, reserved: { $gt: 0 } }, { $inc: { reserved: -1 } });
+};
+
+module.exports = {
+  DEFAULT_ORDERS_PER_RIDER,
+  TIME_PATTERN,
+  isSlotRequired,
+  atTime,
+  deliveryWindowFor,
+  orderWindow,
+  polygonFromRing,
+  zoneAt,
+  isInSlotZone,
+  slotView,
+  availableSlots,
+  findBookableSlot,
+  applySlot,
+  reserveSlot,
+  releaseSlot
+};
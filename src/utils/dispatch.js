@@ -0,0 +1,234 @@
+const Order = require('../models/Order');
+const RiderLocation = require('../models/RiderLocation');
+const { canTransition, applyTransition } = require('./orderStatus');
+const { hasLatLng } = require('./geo');
+
+const OFFER_TIMEOUT_MS = (parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10) || 30) * 1000;
+const SEARCH_RADIUS_M = (parseFloat(process.env.DISPATCH_RADIUS_KM) || 10) * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.DISPATCH_MAX_ATTEMPTS, 10) || 10;
+const SWEEP_INTERVAL_MS = 5000;
+
+const isAutoDispatchEnabled = () => process.env.DISPATCH_MODE === 'auto';
+
+const hasCoordinates = (location) => hasLatLng(location?.coordinates);
+
+// Lower is better: distance to pickup in km plus a penalty for stale positions
+const scoreCandidate = (candidate, now = Date.now()) => {
+  const distanceKm = candidate.distance / 1000;
+  const staleMinutes = Math.max(0, (now - new Date(candidate.updatedAt).getTime()) / 60000);
+  return distanceKm + staleMinutes * 0.5;
+};
+
+// Online, idle, active riders near the pickup point, best first
+const findCandidates = async (order) => {
+  const { latitude, longitude } = order.pickupLocation.coordinates;
+
+  const candidates = await RiderLocation.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        key: 'point',
+        distanceField: 'distance',
+        maxDistance: SEARCH_RADIUS_M,
+        spherical: true,
+        query: {
+          isOnline: true,
+          currentOrder: null,
+          currentRun: null,
+          offeredOrder: null,
+          rider: { $nin: order.dispatch.declinedRiders }
+        }
+      }
+    },
+    { $limit: 20 },
+    { $lookup: { from: 'users', localField: 'rider', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.isActive': true } }
+  ]);
+
+  return candidates
+    .map((candidate) => ({ ...candidate, score: scoreCandidate(candidate) }))
+    .sort((a, b) => a.score - b.score);
+};
+
+// Offer a pending order to the best available rider
+const offerNext = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.status !== 'pending' || order.dispatch.mode !== 'auto') return null;
+
+  if (order.dispatch.attempts >= MAX_ATTEMPTS) {
+    order.dispatch.status = 'exhausted';
+    await order.save();
+    global.io.to('admins').emit('dispatch-exhausted', { orderId: order._id, attempts: order.dispatch.attempts });
+    return null;
+  }
+
+  const candidates = await findCandidates(order);
+
+  for (const candidate of candidates) {
+    // Reserve the rider so two orders are never offered to them at once
+    const reserved = await RiderLocation.findOneAndUpdate(
+      { _id: candidate._id, currentOrder: null, currentRun: null, offeredOrder: null },
+      { offeredOrder: order._id }
+    );
+    if (!reserved) continue;
+
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_MS);
+    order.dispatch.status = 'offered';
+    order.dispatch.offeredTo = candidate.rider;
+    order.dispatch.offerExpiresAt = expiresAt;
+    order.dispatch.attempts += 1;
+    await order.save();
+
+    global.io.to(`rider-${candidate.rider}`).emit('order-offer', {
+      orderId: order._id,
+      pickupLocation: order.pickupLocation,
+      dropoffLocation: order.dropoffLocation,
+      distance: Math.round(candidate.distance),
+      expiresAt
+    });
+
+    return candidate;
+  }
+
+  // Nobody available yet; the sweep tries again
+  order.dispatch.status = 'searching';
+  await order.save();
+  return null;
+};
+
+const startAutoDispatch = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.status !== 'pending') return null;
+
+  if (!hasCoordinates(order.pickupLocation)) {
+    throw new Error('Auto dispatch needs pickup coordinates');
+  }
+
+  await releaseOffer(order);
+  order.dispatch.mode = 'auto';
+  order.dispatch.status = 'searching';
+  order.dispatch.declinedRiders = [];
+  order.dispatch.attempts = 0;
+  await order.save();
+
+  return offerNext(order._id);
+};
+
+const acceptOffer = async (orderId, riderId) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: 'pending',
+      'dispatch.status': 'offered',
+      'dispatch.offeredTo': riderId,
+      'dispatch.offerExpiresAt': { $gt: new Date() }
+    },
+    { $set: { 'dispatch.status': 'accepted' }, $unset: { 'dispatch.offerExpiresAt': 1 } },
+    { new: true }
+  );
+  if (!claimed || !canTransition(claimed.status, 'assigned')) return null;
+
+  claimed.rider = riderId;
+  applyTransition(claimed, 'assigned', { notes: 'Order accepted by rider' });
+  await claimed.save();
+
+  await RiderLocation.findOneAndUpdate(
+    { rider: riderId },
+    { currentOrder: claimed._id, $unset: { offeredOrder: 1 } }
+  );
+
+  return claimed;
+};
+
+// Rider declined or let the offer time out; move on to the next rider
+const declineOffer = async (orderId, riderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, 'dispatch.status': 'offered', 'dispatch.offeredTo': riderId },
+    {
+      $set: { 'dispatch.status': 'searching' },
+      $unset: { 'dispatch.offeredTo': 1, 'dispatch.offerExpiresAt': 1 },
+      $addToSet: { 'dispatch.declinedRiders': riderId }
+    },
+    { new: true }
+  );
+
+  await RiderLocation.findOneAndUpdate(
+    { rider: riderId, offeredOrder: orderId },
+    { $unset: { offeredOrder: 1 } }
+  );
+
+  if (!order) return null;
+
+  await offerNext(order._id);
+  return order;
+};
+
+// Withdraw any open offer, e.g. when an admin assigns manually or the order is cancelled; caller saves
+const releaseOffer = async (order) => {
+  const riderId = order.dispatch?.offeredTo;
+  if (order.dispatch?.status === 'offered' || order.dispatch?.status === 'searching') {
+    order.dispatch.status = 'idle';
+  }
+  if (!riderId) return;
+
+  order.dispatch.offeredTo = undefined;
+  order.dispatch.offerExpiresAt = undefined;
+  await RiderLocation.findOneAndUpdate(
+    { rider: riderId, offeredOrder: order._id },
+    { $unset: { offeredOrder: 1 } }
+  );
+};
+
+const sweep = async () => {
+  const expired = await Order.find({
+    'dispatch.status': 'offered',
+    'dispatch.offerExpiresAt': { $lte: new Date() }
+  }).select('_id dispatch.offeredTo');
+
+  for (const order of expired) {
+    await declineOffer(order._id, order.dispatch.offeredTo);
+  }
+
+  const searching = await Order.find({
+    status: 'pending',
+    'dispatch.mode': 'auto',
+    'dispatch.status': 'searching'
+  }).select('_id').limit(50);
+
+  for (const order of searching) {
+    await offerNext(order._id);
+  }
+};
+
+let sweepTimer = null;
+const startDispatcher = () => {
+  if (sweepTimer) return;
+
+  let running = false;
+  sweepTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await sweep();
+    } catch (error) {
+      console.log('Dispatch sweep error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+};
+
+module.exports = {
+  isAutoDispatchEnabled,
+  hasCoordinates,
+  scoreCandidate,
+  findCandidates,
+  startAutoDispatch,
+  offerNext,
+  acceptOffer,
+  declineOffer,
+  releaseOffer,
+  startDispatcher
+};
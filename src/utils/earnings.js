@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutBatch = require('../models/PayoutBatch');
+const { roundMoney } = require('./pricing');
+const { DEFAULT_DELIVERY_FEE, CURRENCY } = require('./stripe');
+
+// A configured share, which may be 0; the default when unset or not a number
+const shareFromEnv = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+
+// Share of the delivery price paid to the rider
+const RIDER_SHARE = shareFromEnv(process.env.RIDER_EARNING_SHARE, 0.8);
+// Share of the normal credit paid automatically for a failed delivery; off by default
+const FAILED_DELIVERY_SHARE = shareFromEnv(process.env.RIDER_FAILED_DELIVERY_SHARE, 0);
+
+const deliveryCredit = (order) => roundMoney((order.pricing?.total ?? DEFAULT_DELIVERY_FEE) * RIDER_SHARE);
+
+// Duplicate key means the order was already credited; keep the first entry
+const creditOnce = async (entry) => {
+  try {
+    return await new EarningEntry(entry).save();
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const creditDelivery = (order) => creditOnce({
+  rider: order.rider,
+  order: order._id,
+  type: 'delivery',
+  amount: deliveryCredit(order),
+  currency: order.pricing?.currency || CURRENCY,
+  description: 'Delivered order'
+});
+
+const creditFailedDelivery = async (order) => {
+  if (FAILED_DELIVERY_SHARE <= 0) return null;
+
+  return creditOnce({
+    rider: order.rider,
+    order: order._id,
+    type: 'failed_delivery',
+    amount: roundMoney(deliveryCredit(order) * FAILED_DELIVERY_SHARE),
+    currency: order.pricing?.currency || CURRENCY,
+    description: `Failed delivery attempt${order.failureReason ? `: ${order.failureReason}` : ''}`
+  });
+};
+
+// Totals for a rider's ledger, optionally limited to entries since a date
+const earningsTotals = async (riderId, { from, to } = {}) => {
+  const match = { rider: new mongoose.Types.ObjectId(riderId) };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const rows = await EarningEntry.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+
+  const totals = { total: 0, pending: 0, settled: 0, entries: 0 };
+  rows.forEach((row) => {
+    totals[row._id] = roundMoney(row.amount);
+    totals.total = roundMoney(totals.total + row.amount);
+    totals.entries += row.count;
+  });
+  return totals;
+};
+
+// Settle every pending entry created before periodEnd into one payout batch
+const runPayoutBatch = async ({ periodEnd, reference, createdBy }) => {
+  const batch = await new PayoutBatch({ periodEnd, reference, createdBy }).save();
+
+  await EarningEntry.updateMany(
+    { status: 'pending', createdAt: { $lt: periodEnd } },
+    { status: 'settled', payoutBatch: batch._id, settledAt: new Date() }
+  );
+
+  const riders = await EarningEntry.aggregate([
+    { $match: { payoutBatch: batch._id } },
+    { $group: { _id: '$rider', amount: { $sum: '$amount' }, entryCount: { $sum: 1 } } }
+  ]);
+
+  batch.riders = riders.map((row) => ({
+    rider: row._id,
+    amount: roundMoney(row.amount),
+    entryCount: row.entryCount
+  }));
+  batch.totalAmount = roundMoney(riders.reduce((sum, row) => sum + row.amount, 0));
+  batch.entryCount = riders.reduce((sum, row) => sum + row.entryCount, 0);
+  await batch.save();
+
+  return batch;
+};
+
+module.exports = {
+  RIDER_SHARE,
+  FAILED_DELIVERY_SHARE,
+  deliveryCredit,
+  creditDelivery,
+  creditFailedDelivery,
+  earningsTotals,
+  runPayoutBatch
+};
@@ -0,0 +1,150 @@
+const moment = require('moment');
+const Order = require('../models/Order');
+const RiderLocation = require('../models/RiderLocation');
+const LocationPing = require('../models/LocationPing');
+const DeliveryRun = require('../models/DeliveryRun');
+const { ACTIVE_STATUSES } = require('./orderStatus');
+const { hasLatLng, haversineKm } = require('./geo');
+const { roundMoney } = require('./pricing');
+const { getRoutingProvider } = require('./routing');
+const { sortedStops } = require('./deliveryRuns');
+const { deliveryWindowFor } = require('./deliverySlots');
+
+const DEFAULT_SPEED_KMH = parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 20;
+const MIN_SPEED_KMH = 5;
+const MAX_SPEED_KMH = 80;
+const SPEED_WINDOW_MINUTES = 10;
+// Shorter samples are mostly GPS jitter
+const MIN_SAMPLE_SECONDS = 60;
+
+// Average speed over the rider's recent pings, bounded so a rider waiting at a
+// light does not produce an endless ETA; falls back to a default without data
+const recentSpeedKmh = async (riderId) => {
+  const since = moment().subtract(SPEED_WINDOW_MINUTES, 'minutes').toDate();
+  const pings = await LocationPing.find({ rider: riderId, recordedAt: { $gte: since } })
+    .sort({ recordedAt: 1 })
+    .select('location recordedAt')
+    .lean();
+  if (pings.length < 2) return DEFAULT_SPEED_KMH;
+
+  const seconds = (pings[pings.length - 1].recordedAt - pings[0].recordedAt) / 1000;
+  if (seconds < MIN_SAMPLE_SECONDS) return DEFAULT_SPEED_KMH;
+
+  let km = 0;
+  for (let i = 1; i < pings.length; i++) {
+    km += haversineKm(pings[i - 1].location, pings[i].location);
+  }
+  const speed = km / (seconds / 3600);
+  return Math.min(MAX_SPEED_KMH, Math.max(MIN_SPEED_KMH, speed));
+};
+
+// End of the requested window; parsed from deliveryTime for orders saved
+// before windows were stored
+const windowEnd = ({ deliveryWindow, deliveryDate, deliveryTime }) => {
+  return deliveryWindow?.end || deliveryWindowFor(deliveryDate, deliveryTime)?.end || null;
+};
+
+// Stops the rider still has to make before this order's dropoff. On a run
+// that includes other orders' pickups and dropoffs queued ahead of it.
+const remainingStops = async (order) => {
+  const pickup = { type: 'pickup', coordinates: order.pickupLocation?.coordinates };
+  const dropoff = { type: 'dropoff', coordinates: order.dropoffLocation?.coordinates };
+  const direct = order.status === 'assigned' ? [pickup, dropoff] : [dropoff];
+  if (!order.deliveryRun) return direct;
+
+  const run = await DeliveryRun.findById(order.deliveryRun).select('stops status');
+  if (!run || run.status !== 'active') return direct;
+
+  const pending = sortedStops(run).filter((stop) => stop.status === 'pending');
+  const last = pending.findIndex((stop) => stop.type === 'dropoff' && stop.order.equals(order._id));
+  if (last === -1) return direct;
+
+  return pending.slice(0, last + 1).map((stop) => ({
+    type: stop.order.equals(order._id) ? stop.type : 'other',
+    coordinates: stop.coordinates
+  }));
+};
+
+// Estimate arrival at pickup (while assigned) and dropoff from the rider's
+// position. Returns null when the order is not on the road or coordinates are
+// missing.
+const estimateEta = async (order, position) => {
+  if (!order.rider || !ACTIVE_STATUSES.includes(order.status)) return null;
+
+  const riderId = order.rider._id || order.rider;
+  if (!position) {
+    const location = await RiderLocation.findOne({ rider: riderId }).select('location');
+    position = location?.location;
+  }
+
+  const stops = await remainingStops(order);
+  if (!hasLatLng(position) || !stops.every((stop) => hasLatLng(stop.coordinates))) {
+    return null;
+  }
+
+  const provider = getRoutingProvider();
+  const speedKmh = await recentSpeedKmh(riderId);
+  const now = Date.now();
+
+  let pickupAt = null;
+  let dropoffAt = null;
+  let distanceKm = 0;
+  let elapsedSeconds = 0;
+  let from = position;
+  for (const stop of stops) {
+    const leg = await provider.route({ from, to: stop.coordinates, speedKmh });
+    distanceKm += leg.distanceKm;
+    elapsedSeconds += leg.durationSeconds;
+    if (stop.type === 'pickup') pickupAt = new Date(now + elapsedSeconds * 1000);
+    if (stop.type === 'dropoff') dropoffAt = new Date(now + elapsedSeconds * 1000);
+    from = stop.coordinates;
+  }
+
+  const end = windowEnd(order);
+  return {
+    target: order.status === 'assigned' ? 'pickup' : 'dropoff',
+    pickupAt,
+    dropoffAt,
+    distanceKm: roundMoney(distanceKm),
+    speedKmh: roundMoney(speedKmh),
+    windowEnd: end,
+    late: !!end && dropoffAt > end,
+    calculatedAt: new Date(now)
+  };
+};
+
+// Recalculate and store an order's ETA, and warn the business and admins the
+// first time it runs past the delivery window. Failures are logged only; they
+// must not fail the location or status update that triggered them.
+const refreshEta = async (order, position) => {
+  try {
+    const eta = await estimateEta(order, position);
+
+    if (!eta) {
+      if (order.eta?.calculatedAt) {
+        await Order.updateOne({ _id: order._id }, { $unset: { eta: 1 } });
+      }
+      return null;
+    }
+
+    await Order.updateOne({ _id: order._id }, { eta });
+
+    if (eta.late && !order.eta?.late) {
+      const alert = {
+        orderId: order._id,
+        trackingCode: order.trackingCode,
+        dropoffAt: eta.dropoffAt,
+        windowEnd: eta.windowEnd
+      };
+      global.io.to('admins').emit('eta-late', alert);
+      global.io.to(`business-${order.business._id || order.business}`).emit('eta-late', alert);
+    }
+
+    return eta;
+  } catch (error) {
+    console.error('ETA update failed:', error.message);
+    return null;
+  }
+};
+
+module.exports = { windowEnd, estimateEta, refreshEta };
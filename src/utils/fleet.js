@@ -0,0 +1,114 @@
+const RiderLocation = require('../models/RiderLocation');
+const Order = require('../models/Order');
+
+const FLEET_STATUSES = ['idle', 'assigned', 'picked_up', 'in_transit'];
+
+// "minLng,minLat,maxLng,maxLat" -> bounds, or null when missing/invalid
+const parseBoundingBox = (value) => {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const boxPolygon = ({ minLng, minLat, maxLng, maxLat }) => ({
+  type: 'Polygon',
+  coordinates: [[
+    [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+  ]]
+});
+
+const isInBox = (box, { latitude, longitude }) => {
+  if (!box) return true;
+  return longitude >= box.minLng && longitude <= box.maxLng &&
+    latitude >= box.minLat && latitude <= box.maxLat;
+};
+
+// Online riders with their status and current order, in one aggregation
+const fleetSnapshot = async ({ box, status } = {}) => {
+  const match = { isOnline: true };
+  if (box) match.point = { $geoWithin: { $geometry: boxPolygon(box) } };
+
+  const pipeline = [
+    { $match: match },
+    { $lookup: { from: 'users', localField: 'rider', foreignField: '_id', as: 'user' } },
+    { $unwind: '$user' },
+    { $match: { 'user.isActive': true } },
+    {
+      $lookup: {
+        from: 'orders',
+        localField: 'currentOrder',
+        foreignField: '_id',
+        as: 'order',
+        pipeline: [{ $project: { status: 1, pickupLocation: 1, dropoffLocation: 1, deliveryDate: 1, deliveryTime: 1, deliveryWindow: 1 } }]
+      }
+    },
+    { $unwind: { path: '$order', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        riderId: '$rider',
+        name: '$user.profile.name',
+        phone: '$user.profile.phone',
+        vehicleType: '$user.riderInfo.vehicleType',
+        location: 1,
+        updatedAt: 1,
+        status: { $ifNull: ['$order.status', 'idle'] },
+        currentOrder: '$order'
+      }
+    }
+  ];
+
+  if (status) pipeline.push({ $match: { status } });
+
+  return RiderLocation.aggregate(pipeline);
+};
+
+// Push one rider's position to admin map sockets whose viewport contains it,
+// and 'fleet-remove' to those that showed the rider when it goes offline or
+// leaves their viewport. socket.data.fleetRiders holds the rider ids a socket
+// currently shows. Failures are logged only; they must not fail the rider's
+// location update.
+const broadcastFleetUpdate = async (location) => {
+  try {
+    const sockets = await global.io.in('fleet').fetchSockets();
+    if (sockets.length === 0) return;
+
+    const order = location.currentOrder
+      ? await Order.findById(location.currentOrder).select('status')
+      : null;
+
+    const update = {
+      riderId: location.rider,
+      location: location.location,
+      status: order?.status || 'idle',
+      currentOrder: location.currentOrder || null,
+      updatedAt: location.updatedAt
+    };
+
+    const riderId = String(location.rider);
+    sockets.forEach((socket) => {
+      const shown = socket.data.fleetRiders || (socket.data.fleetRiders = new Set());
+      if (location.isOnline && isInBox(socket.data.fleetBox, location.location)) {
+        shown.add(riderId);
+        socket.emit('fleet-update', update);
+      } else if (shown.has(riderId)) {
+        shown.delete(riderId);
+        socket.emit('fleet-remove', { riderId: location.rider });
+      }
+    });
+  } catch (error) {
+    console.error('Fleet update failed:', error.message);
+  }
+};
+
+module.exports = {
+  FLEET_STATUSES,
+  parseBoundingBox,
+  isInBox,
+  fleetSnapshot,
+  broadcastFleetUpdate
+};
@@ -0,0 +1,18 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasLatLng = (point) => {
+  return Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+};
+
+// Great-circle distance between two { latitude, longitude } points in km
+const haversineKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = { EARTH_RADIUS_KM, hasLatLng, haversineKm };
@@ -0,0 +1,101 @@
+const LocationPing = require('../models/LocationPing');
+const { TERMINAL_STATUSES } = require('./orderStatus');
+const { haversineKm } = require('./geo');
+const { roundMoney } = require('./pricing');
+
+const recordPing = (riderId, orderIds, { latitude, longitude }) => {
+  return LocationPing.create({
+    rider: riderId,
+    orders: orderIds,
+    location: { latitude, longitude }
+  });
+};
+
+const toPosition = ({ latitude, longitude }) => [longitude, latitude];
+
+const pathKm = (points) => {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1], points[i]);
+  }
+  return total;
+};
+
+// Status the order was in at a given time, from its timeline
+const statusAt = (timeline, time) => {
+  let status = timeline[0]?.status;
+  for (const entry of timeline) {
+    if (entry.timestamp > time) break;
+    status = entry.status;
+  }
+  return status;
+};
+
+// Seconds spent in each non-terminal status; the current one runs until now
+const statusDurations = (timeline, now = new Date()) => {
+  const durations = {};
+  timeline.forEach((entry, i) => {
+    if (TERMINAL_STATUSES.includes(entry.status)) return;
+    const end = timeline[i + 1]?.timestamp || now;
+    const seconds = Math.max(0, Math.round((end - entry.timestamp) / 1000));
+    durations[entry.status] = (durations[entry.status] || 0) + seconds;
+  });
+  return durations;
+};
+
+// Replay of an order's recorded route as a GeoJSON FeatureCollection with one
+// feature per status the rider was in, plus distance and time totals.
+const orderRoute = async (order) => {
+  const pings = await LocationPing.find({ $or: [{ orders: order._id }, { order: order._id }] })
+    .sort({ recordedAt: 1 })
+    .select('location recordedAt')
+    .lean();
+  const timeline = [...order.timeline].sort((a, b) => a.timestamp - b.timestamp);
+
+  // Consecutive pings in the same status form a segment; each segment starts
+  // where the previous one ended so the drawn route has no gaps
+  const segments = [];
+  pings.forEach((ping) => {
+    const status = statusAt(timeline, ping.recordedAt);
+    const last = segments[segments.length - 1];
+    if (last && last.status === status) {
+      last.pings.push(ping);
+    } else {
+      segments.push({ status, pings: last ? [last.pings[last.pings.length - 1], ping] : [ping] });
+    }
+  });
+
+  const features = segments.map(({ status, pings: points }) => {
+    const coordinates = points.map((ping) => toPosition(ping.location));
+    return {
+      type: 'Feature',
+      geometry: coordinates.length > 1
+        ? { type: 'LineString', coordinates }
+        : { type: 'Point', coordinates: coordinates[0] },
+      properties: {
+        status,
+        startedAt: points[0].recordedAt,
+        endedAt: points[points.length - 1].recordedAt,
+        distanceKm: roundMoney(pathKm(points.map((ping) => ping.location))),
+        pointCount: points.length
+      }
+    };
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features,
+    properties: {
+      orderId: order._id,
+      status: order.status,
+      pointCount: pings.length,
+      startedAt: pings[0]?.recordedAt || null,
+      endedAt: pings[pings.length - 1]?.recordedAt || null,
+      distanceKm: roundMoney(pathKm(pings.map((ping) => ping.location))),
+      pricedDistanceKm: order.pricing?.distanceKm ?? null,
+      statusDurations: statusDurations(timeline, order.actualDeliveryTime || order.cancelledAt || new Date())
+    }
+  };
+};
+
+module.exports = { recordPing, statusDurations, orderRoute };
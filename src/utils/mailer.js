@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+
+const SUBJECTS = {
+  verifyEmail: 'Verify your email address',
+  resetPassword: 'Reset your password',
+  riderInvite: 'You have been invited as a rider',
+  orderStatus: '{{headline}}'
+};
+
+// SMTP_HOST/SMTP_PORT can point at a local capture server (e.g. MailHog) in development
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const templateCache = new Map();
+const loadTemplate = (file) => {
+  if (!templateCache.has(file)) {
+    templateCache.set(file, fs.readFileSync(path.join(TEMPLATE_DIR, file), 'utf8'));
+  }
+  return templateCache.get(file);
+};
+
+// Replace {{key}} placeholders; HTML output escapes the values
+const render = (template, data, escape) => template.replace(/{{(\w+)}}/g, (match, key) => {
+  const value = data[key] === undefined ? '' : data[key];
+  return escape ? escapeHtml(value) : String(value);
+});
+
+const renderTemplate = (name, data) => ({
+  subject: render(SUBJECTS[name], data, false),
+  text: render(loadTemplate(`${name}.txt`), data, false),
+  html: render(loadTemplate(`${name}.html`), data, true)
+});
+
+const sendMail = ({ to, subject, text, html }) => {
+  return transporter.sendMail({
+    from: process.env.MAIL_FROM || 'Delivery App <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const sendTemplate = (name, to, data) => sendMail({ to, ...renderTemplate(name, data) });
+
+const appLink = (pathname, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = { transporter, renderTemplate, sendMail, sendTemplate, appLink };
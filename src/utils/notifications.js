@@ -0,0 +1,194 @@
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const { onOrderEvent } = require('./orderEvents');
+const { renderTemplate, sendMail } = require('./mailer');
+const { getSmsProvider } = require('./sms');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+const HEADLINES = {
+  created: 'Your order has been created',
+  assigned: 'A rider has been assigned to your order',
+  picked_up: 'Your order has been picked up',
+  in_transit: 'Your order is on the way',
+  delivered: 'Your order has been delivered',
+  failed: 'Delivery of your order failed',
+  cancelled: 'Your order has been cancelled',
+  delivery_code: 'Here is your new delivery code'
+};
+
+// Events whose customer SMS carries the delivery code. 'delivery_code' is only
+// published when a code is issued late or reissued, never to webhooks.
+const CODE_EVENTS = ['assigned', 'delivery_code'];
+
+const trackingLink = (order) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}/track/${order.trackingCode}`;
+};
+
+const eventDetails = (type, order, details) => {
+  if (type === 'failed') return `Reason: ${details.reason || order.failureReason || 'not given'}`;
+  if (type === 'cancelled') return `Reason: ${details.reason || order.cancellationReason || 'not given'}`;
+  if (type === 'delivered' && order.proofOfDelivery?.recipientName) {
+    return `Received by ${order.proofOfDelivery.recipientName}`;
+  }
+  return '';
+};
+
+const customerSmsBody = (type, order, businessName) => {
+  const parts = [`${businessName}: ${HEADLINES[type]}.`];
+  // The customer needs the code to hand over at the door
+  if (CODE_EVENTS.includes(type) && order.deliveryOtp?.code) {
+    parts.push(`Your delivery code is ${order.deliveryOtp.code}.`);
+  }
+  if (type === 'delivered' && order.ratingToken) {
+    parts.push(`Rate your delivery: ${trackingLink(order)}?rate=${order.ratingToken}`);
+  } else {
+    parts.push(`Track: ${trackingLink(order)}`);
+  }
+  return parts.join(' ');
+};
+
+// Build the log entries an order event should produce for this business
+const buildNotifications = ({ type, details }, order) => {
+  const business = order.business;
+  const settings = business.businessInfo.notificationSettings;
+  const businessName = business.businessInfo?.businessName || business.profile?.name || 'Your delivery';
+  const notifications = [];
+
+  if (settings.businessEmailEvents.includes(type) && business.email) {
+    const { subject, text, html } = renderTemplate('orderStatus', {
+      name: business.profile?.name || businessName,
+      headline: HEADLINES[type],
+      dropoffAddress: order.dropoffLocation.address,
+      customerName: order.customer.name,
+      details: eventDetails(type, order, details),
+      trackingLink: trackingLink(order)
+    });
+    notifications.push({
+      channel: 'email',
+      recipientType: 'business',
+      recipient: business.email,
+      subject,
+      body: text,
+      html
+    });
+  }
+
+  // The delivery code and the rating link only reach the customer this way,
+  // so those messages are sent whatever the business's SMS settings are
+  const sendsCode = CODE_EVENTS.includes(type) && !!order.deliveryOtp?.code;
+  const sendsRatingLink = type === 'delivered' && !!order.ratingToken;
+  if ((settings.customerSmsEvents.includes(type) || sendsCode || sendsRatingLink) && order.customer?.phone) {
+    notifications.push({
+      channel: 'sms',
+      recipientType: 'customer',
+      recipient: order.customer.phone,
+      body: customerSmsBody(type, order, businessName)
+    });
+  }
+
+  return notifications.map((notification) => ({
+    ...notification,
+    order: order._id,
+    business: business._id,
+    event: type
+  }));
+};
+
+// Try to send one logged notification, scheduling a retry with backoff on failure
+const deliver = async (notification) => {
+  notification.attempts += 1;
+  try {
+    if (notification.channel === 'email') {
+      const info = await sendMail({
+        to: notification.recipient,
+        subject: notification.subject,
+        text: notification.body,
+        html: notification.html
+      });
+      notification.provider = 'smtp';
+      notification.providerMessageId = info.messageId;
+    } else {
+      const provider = getSmsProvider();
+      const result = await provider.send({ to: notification.recipient, body: notification.body });
+      notification.provider = provider.name;
+      notification.providerMessageId = result.id;
+    }
+
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+    notification.lastError = undefined;
+  } catch (error) {
+    notification.lastError = error.message;
+    if (notification.attempts >= MAX_ATTEMPTS) {
+      notification.status = 'failed';
+    } else {
+      notification.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (notification.attempts - 1));
+    }
+  }
+
+  await notification.save();
+  return notification;
+};
+
+const handleOrderEvent = async (event) => {
+  const order = await Order.findById(event.orderId)
+    .select('+deliveryOtp.code +ratingToken')
+    .populate('business', 'email profile businessInfo');
+  if (!order || !order.business) return;
+
+  const entries = buildNotifications(event, order);
+  if (entries.length === 0) return;
+
+  const notifications = await Notification.insertMany(entries);
+  for (const notification of notifications) {
+    await deliver(notification);
+  }
+};
+
+const retryPending = async () => {
+  // Also pick up entries whose first attempt never ran, e.g. after a restart
+  const due = await Notification.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+    $or: [
+      { attempts: { $gt: 0 } },
+      { createdAt: { $lte: new Date(Date.now() - 5 * 60 * 1000) } }
+    ]
+  }).limit(50);
+
+  for (const notification of due) {
+    await deliver(notification);
+  }
+};
+
+let retryTimer = null;
+const startNotifications = () => {
+  if (retryTimer) return;
+
+  onOrderEvent(handleOrderEvent);
+
+  let running = false;
+  retryTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryPending();
+    } catch (error) {
+      console.log('Notification retry error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  retryTimer.unref();
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  buildNotifications,
+  deliver,
+  startNotifications
+};
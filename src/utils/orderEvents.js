@@ -0,0 +1,28 @@
+const EventEmitter = require('events');
+
+// In-process bus for order lifecycle events. Routes publish next to their
+// socket emits; notifications and other integrations subscribe.
+const orderEvents = new EventEmitter();
+
+const ORDER_EVENTS = ['created', 'assigned', 'picked_up', 'in_transit', 'delivered', 'failed', 'cancelled'];
+
+const publishOrderEvent = (type, order, details = {}) => {
+  orderEvents.emit('order-event', {
+    type,
+    orderId: order._id,
+    order,
+    details,
+    timestamp: new Date()
+  });
+};
+
+// Subscribers run async; a failing one must not crash the request that published
+const onOrderEvent = (handler) => {
+  orderEvents.on('order-event', (event) => {
+    Promise.resolve()
+      .then(() => handler(event))
+      .catch((error) => console.log(`Order event handler error (${event.type}):`, error.message));
+  });
+};
+
+module.exports = { ORDER_EVENTS, publishOrderEvent, onOrderEvent };
@@ -0,0 +1,130 @@
+const moment = require('moment');
+const Order = require('../models/Order');
+const { deliveryWindowFor, orderWindow } = require('./deliverySlots');
+
+// Filters shared by the order lists and their exports
+const orderListQuery = ({ status, dateFrom, dateTo, slotId, windowFrom, windowTo }, query = {}) => {
+  if (status) query.status = status;
+  if (slotId) query.deliverySlot = slotId;
+
+  if (dateFrom || dateTo) {
+    query.createdAt = {};
+    if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) query.createdAt.$lte = new Date(dateTo);
+  }
+
+  // Orders whose delivery window starts in the range
+  if (windowFrom || windowTo) {
+    query['deliveryWindow.start'] = {};
+    if (windowFrom) query['deliveryWindow.start'].$gte = new Date(windowFrom);
+    if (windowTo) query['deliveryWindow.start'].$lte = new Date(windowTo);
+  }
+
+  return query;
+};
+
+const formatDate = (date) => (date ? moment(date).toISOString() : '');
+
+const ORDER_CSV_COLUMNS = [
+  ['Tracking code', (order) => order.trackingCode],
+  ['Created at', (order) => formatDate(order.createdAt)],
+  ['Status', (order) => order.status],
+  ['Business', (order) => order.business?.businessInfo?.businessName],
+  ['Rider', (order) => order.rider?.profile?.name],
+  ['Customer', (order) => order.customer?.name],
+  ['Customer phone', (order) => order.customer?.phone],
+  ['Pickup address', (order) => order.pickupLocation?.address],
+  ['Dropoff address', (order) => order.dropoffLocation?.address],
+  ['Delivery date', (order) => (order.deliveryDate ? moment(order.deliveryDate).format('YYYY-MM-DD') : '')],
+  ['Delivery window', (order) => order.deliveryTime],
+  ['Window start', (order) => formatDate(orderWindow(order)?.start)],
+  ['Window end', (order) => formatDate(orderWindow(order)?.end)],
+  ['Delivered at', (order) => formatDate(order.actualDeliveryTime)],
+  ['Distance (km)', (order) => order.pricing?.distanceKm],
+  ['Vehicle', (order) => order.pricing?.vehicleType],
+  ['Price', (order) => order.pricing?.total],
+  ['Currency', (order) => order.pricing?.currency],
+  ['Payment status', (order) => order.paymentStatus],
+  ['Paid amount', (order) => order.payment?.amount],
+  ['Cash to collect', (order) => order.cashOnDelivery?.amount],
+  ['Cash collected', (order) => order.cashOnDelivery?.collectedAmount],
+  ['Failure reason', (order) => order.failureReason],
+  ['Cancellation reason', (order) => order.cancellationReason]
+];
+
+// Quote cells that would otherwise break the row, and defuse values a
+// spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Resolves once the client has room for more data or has gone away
+const writable = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Stream matching orders as CSV, one document at a time through a cursor so
+// large exports never sit in memory. Honours backpressure from the client.
+const streamOrdersCsv = async (res, query, filename) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.write(csvLine(ORDER_CSV_COLUMNS.map(([header]) => header)));
+
+  const cursor = Order.find(query)
+    .select('-deliveryOtp -timeline -proofOfDelivery')
+    .populate('business', 'businessInfo.businessName')
+    .populate('rider', 'profile.name')
+    .sort({ createdAt: -1 })
+    .lean()
+    .cursor();
+
+  try {
+    for await (const order of cursor) {
+      if (res.destroyed) break;
+      if (!res.write(csvLine(ORDER_CSV_COLUMNS.map(([, value]) => value(order))))) {
+        await writable(res);
+      }
+    }
+    await cursor.close();
+    res.end();
+  } catch (error) {
+    // Headers are gone; cutting the connection tells the client the file is incomplete
+    await cursor.close();
+    res.destroy(error);
+  }
+};
+
+// Store the window of orders saved before windows were, so the window filters
+// find them. Run once the database is connected; resolves to the number filled.
+const backfillDeliveryWindows = async () => {
+  const cursor = Order.find({ 'deliveryWindow.start': null, deliveryDate: { $ne: null } })
+    .select('deliveryDate deliveryTime')
+    .lean()
+    .cursor();
+
+  let filled = 0;
+  for await (const order of cursor) {
+    await Order.updateOne(
+      { _id: order._id, 'deliveryWindow.start': null },
+      { deliveryWindow: deliveryWindowFor(order.deliveryDate, order.deliveryTime) },
+      { timestamps: false }
+    );
+    filled++;
+  }
+  return filled;
+};
+
+const exportFilename = (prefix) => `${prefix}-${moment().format('YYYYMMDD-HHmmss')}.csv`;
+
+module.exports = { orderListQuery, csvCell, streamOrdersCsv, backfillDeliveryWindows, exportFilename };
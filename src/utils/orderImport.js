@@ -0,0 +1,251 @@
+const path = require('path');
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const ImportJob = require('../models/ImportJob');
+const { getPricingConfig } = require('./pricing');
+const { orderValidators, slotForOrder, buildOrder, afterOrderCreated } = require('./orderInput');
+const { reserveSlot, releaseSlot } = require('./deliverySlots');
+
+const MAX_ROWS = 5000;
+// Imports up to this size are processed before the response is sent
+const INLINE_ROWS = 100;
+const PROGRESS_EVERY = 50;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv and .json files are allowed'), false);
+    }
+  }
+});
+
+// Minimal RFC 4180 parser: quoted fields may contain commas, quotes ("") and
+// line breaks. Returns an array of records, each an array of strings.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((fields) => fields.some((value) => value.trim() !== ''));
+};
+
+// Header row names the order fields, exactly as POST /api/orders takes them
+const csvToRows = (text) => {
+  const [header, ...records] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+  return records.map((values) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = values[index]?.trim();
+      // Blank cells count as missing so optional fields behave as in the API
+      if (column && value) row[column] = value;
+    });
+    return row;
+  });
+};
+
+// Rows from an uploaded .csv/.json file or a JSON body ([...] or { orders: [...] }).
+// Throws with a client-facing message when the input cannot be read.
+const readImportRows = (req) => {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    const format = path.extname(req.file.originalname).toLowerCase() === '.json' ? 'json' : 'csv';
+    if (format === 'csv') {
+      return { format, rows: csvToRows(text) };
+    }
+
+    let rows;
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON file must contain an array of orders');
+    }
+    return { format, rows };
+  }
+
+  const rows = Array.isArray(req.body) ? req.body : req.body?.orders;
+  if (!Array.isArray(rows)) {
+    throw new Error('Upload a .csv or .json file, or send an array of orders');
+  }
+  return { format: 'json', rows };
+};
+
+// Same field rules and pricing as a single order. Returns { order } or { errors }.
+const validateRow = async (user, row, pricingConfig) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+
+  const fakeReq = { body: row };
+  for (const validator of orderValidators) {
+    await validator.run(fakeReq);
+  }
+
+  const result = validationResult(fakeReq);
+  if (!result.isEmpty()) {
+    return { errors: result.array().map((error) => ({ field: error.path, message: error.msg })) };
+  }
+
+  const { slot, error: slotError } = await slotForOrder(row);
+  if (slotError) {
+    return { errors: [{ field: 'slotId', message: slotError }] };
+  }
+
+  const { order, error } = buildOrder(user, row, pricingConfig, slot);
+  if (error) {
+    return { errors: [{ field: null, message: error }] };
+  }
+
+  // Schema errors belong to this row rather than failing the batch insert
+  try {
+    await order.validate();
+  } catch (validationError) {
+    if (!validationError.errors) throw validationError;
+    return {
+      errors: Object.values(validationError.errors).map((fieldError) => ({
+        field: fieldError.path,
+        message: fieldError.message
+      }))
+    };
+  }
+  return { order };
+};
+
+// Validate every row, then insert all valid ones in a single batch (unless
+// this is a dry run). Progress is saved periodically so it can be polled.
+const processImport = async (job, user, rows) => {
+  try {
+    job.status = 'processing';
+    job.startedAt = new Date();
+    await job.save();
+
+    const pricingConfig = await getPricingConfig();
+    const orders = [];
+
+    for (let i = 0; i < rows.length; i++) {
+      const { order, errors } = await validateRow(user, rows[i], pricingConfig);
+      if (errors) {
+        errors.forEach((error) => job.rowErrors.push({ row: i + 1, ...error }));
+      } else {
+        orders.push({ row: i + 1, order });
+      }
+
+      job.processedRows = i + 1;
+      if (job.processedRows % PROGRESS_EVERY === 0) {
+        await job.save();
+      }
+    }
+
+    job.validRows = orders.length;
+
+    if (!job.dryRun && orders.length > 0) {
+      // Slots can fill up while the file is processed; those rows are reported
+      // instead of inserted
+      const booked = [];
+      for (const { row, order } of orders) {
+        if (order.deliverySlot && !(await reserveSlot(order.deliverySlot))) {
+          job.rowErrors.push({ row, field: 'slotId', message: 'Delivery slot is full' });
+        } else {
+          booked.push(order);
+        }
+      }
+
+      let inserted;
+      try {
+        inserted = await Order.insertMany(booked);
+      } catch (error) {
+        await Promise.all(booked.map((order) => releaseSlot(order.deliverySlot)));
+        throw error;
+      }
+      job.insertedCount = inserted.length;
+      job.orders = inserted.map((order) => order._id);
+      inserted.forEach(afterOrderCreated);
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    job.status = 'failed';
+    job.failureReason = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+};
+
+// Create the job and process it: inline for small imports, in the background
+// for large ones. Resolves to { job, inline }.
+const startImport = async (user, { format, rows, fileName, dryRun }) => {
+  const job = await ImportJob.create({
+    business: user._id,
+    format,
+    fileName,
+    dryRun,
+    totalRows: rows.length
+  });
+
+  if (rows.length <= INLINE_ROWS) {
+    return { job: await processImport(job, user, rows), inline: true };
+  }
+
+  processImport(job, user, rows).catch((error) => {
+    console.error('Order import error:', error.message);
+  });
+  return { job, inline: false };
+};
+
+module.exports = {
+  MAX_ROWS,
+  importUpload,
+  parseCsv,
+  readImportRows,
+  validateRow,
+  startImport
+};
@@ -0,0 +1,131 @@
+const { body } = require('express-validator');
+const Order = require('../models/Order');
+const { isAutoDispatchEnabled, startAutoDispatch } = require('./dispatch');
+const { roundMoney, calculateQuote, quoteInputFromOrder } = require('./pricing');
+const { publishOrderEvent } = require('./orderEvents');
+const { isSlotRequired, findBookableSlot, applySlot } = require('./deliverySlots');
+
+// Field rules for a new order, shared by the single-order route and bulk import
+const orderValidators = [
+  body('pickupAddress').if(body('pickupLocationId').not().exists()).notEmpty(),
+  body('pickupLocationId').optional().isMongoId(),
+  body('pickupLat').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }),
+  body('pickupLng').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }),
+  body('dropoffAddress').notEmpty(),
+  body('dropoffLat').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }),
+  body('dropoffLng').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }),
+  body('slotId').optional().isMongoId(),
+  body('deliveryDate').if(body('slotId').not().exists()).isISO8601(),
+  body('deliveryTime').if(body('slotId').not().exists()).notEmpty(),
+  body('customerName').notEmpty(),
+  body('customerPhone').notEmpty(),
+  body('productDescription').notEmpty(),
+  body('productWeight').isNumeric(),
+  body('codAmount').optional().isFloat({ min: 0 })
+];
+
+const parseCoordinate = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+
+const isKnownVehicle = (config, vehicleType) => !vehicleType || config.vehicleMultipliers.has(vehicleType);
+
+// Delivery slot requested by a new order: { slot }, {} when none is booked, or { error }
+const slotForOrder = async ({ slotId, dropoffLat, dropoffLng }) => {
+  if (!slotId) {
+    return isSlotRequired() ? { error: 'A delivery slot is required' } : {};
+  }
+  return findBookableSlot(slotId, {
+    latitude: parseCoordinate(dropoffLat),
+    longitude: parseCoordinate(dropoffLng)
+  });
+};
+
+// Build an unsaved, priced order from validated fields, in the given delivery
+// slot if any. Returns { order } or { error } for problems the field rules
+// cannot catch.
+const buildOrder = (user, fields, pricingConfig, slot) => {
+  const {
+    pickupLocationId,
+    dropoffAddress, dropoffLat, dropoffLng,
+    deliveryDate, deliveryTime,
+    customerName, customerPhone,
+    productDescription, productWeight, vehicleType, codAmount
+  } = fields;
+  let { pickupAddress, pickupLat, pickupLng } = fields;
+
+  // Use a saved pickup location when one is referenced
+  if (pickupLocationId) {
+    const savedLocation = user.businessInfo?.pickupLocations?.id(pickupLocationId);
+    if (!savedLocation) {
+      return { error: 'Pickup location not found' };
+    }
+    pickupAddress = savedLocation.address;
+    pickupLat = savedLocation.coordinates?.latitude;
+    pickupLng = savedLocation.coordinates?.longitude;
+  }
+
+  if (!isKnownVehicle(pricingConfig, vehicleType)) {
+    return { error: `Unknown vehicle type: ${vehicleType}` };
+  }
+
+  const order = new Order({
+    business: user._id,
+    pickupLocation: {
+      address: pickupAddress,
+      coordinates: {
+        latitude: parseCoordinate(pickupLat),
+        longitude: parseCoordinate(pickupLng)
+      }
+    },
+    dropoffLocation: {
+      address: dropoffAddress,
+      coordinates: {
+        latitude: parseCoordinate(dropoffLat),
+        longitude: parseCoordinate(dropoffLng)
+      }
+    },
+    deliveryDate: deliveryDate && new Date(deliveryDate),
+    deliveryTime,
+    customer: {
+      name: customerName,
+      phone: customerPhone
+    },
+    product: {
+      description: productDescription,
+      weight: parseFloat(productWeight)
+    },
+    timeline: [{
+      status: 'pending',
+      timestamp: new Date(),
+      notes: 'Order created'
+    }]
+  });
+
+  if (slot) applySlot(order, slot);
+  if (parseFloat(codAmount) > 0) {
+    order.cashOnDelivery = { amount: roundMoney(parseFloat(codAmount)) };
+  }
+
+  order.pricing = calculateQuote(pricingConfig, { ...quoteInputFromOrder(order), vehicleType });
+
+  return { order };
+};
+
+// Side effects of a newly saved order
+const afterOrderCreated = (order) => {
+  publishOrderEvent('created', order);
+
+  if (isAutoDispatchEnabled()) {
+    startAutoDispatch(order._id).catch((error) => {
+      console.log('Auto dispatch error:', error.message);
+    });
+  }
+};
+
+module.exports = {
+  orderValidators,
+  parseCoordinate,
+  isKnownVehicle,
+  slotForOrder,
+  buildOrder,
+  afterOrderCreated
+};
@@ -0,0 +1,33 @@
+const { TERMINAL_STATUSES, releaseRider } = require('./orderStatus');
+const { creditDelivery, creditFailedDelivery } = require('./earnings');
+const { publishOrderEvent } = require('./orderEvents');
+const { refreshEta } = require('./eta');
+const { syncRunStops } = require('./deliveryRuns');
+const { recordCollection } = require('./cash');
+
+// Side effects shared by every rider status change, after the order is saved
+const afterStatusChange = async (order, status, location) => {
+  if (TERMINAL_STATUSES.includes(status)) {
+    await releaseRider(order.rider, order._id);
+  }
+  await syncRunStops(order);
+
+  if (status === 'delivered') {
+    await creditDelivery(order);
+    await recordCollection(order);
+  } else if (status === 'failed') {
+    await creditFailedDelivery(order);
+  }
+
+  // Emit real-time update
+  global.io.to(`order-${order._id}`).emit('status-update', {
+    orderId: order._id,
+    status,
+    timestamp: new Date(),
+    location,
+    eta: await refreshEta(order)
+  });
+  publishOrderEvent(status, order, { location });
+};
+
+module.exports = { afterStatusChange };
@@ -0,0 +1,68 @@
+const RiderLocation = require('../models/RiderLocation');
+const { issueDeliveryOtp } = require('./proofOfDelivery');
+
+// Every status an order may move to from its current one.
+// assigned -> assigned is a reassignment to another rider.
+const TRANSITIONS = {
+  pending: ['assigned', 'cancelled'],
+  assigned: ['assigned', 'picked_up', 'failed', 'cancelled'],
+  picked_up: ['in_transit', 'failed'],
+  in_transit: ['delivered', 'failed'],
+  delivered: [],
+  failed: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+const ACTIVE_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+const TERMINAL_STATUSES = ['delivered', 'failed', 'cancelled'];
+
+// Statuses a rider may set through the status route
+const RIDER_STATUSES = ['picked_up', 'in_transit', 'delivered', 'failed'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const transitionError = (from, to) => `Cannot change order status from ${from} to ${to}`;
+
+// Move an order to a new status and record it in the timeline; caller saves
+const applyTransition = (order, status, { notes, location } = {}) => {
+  order.status = status;
+  order.timeline.push({
+    status,
+    timestamp: new Date(),
+    notes,
+    location
+  });
+
+  if (status === 'assigned') {
+    issueDeliveryOtp(order);
+  }
+  if (status === 'delivered') {
+    order.actualDeliveryTime = new Date();
+  }
+  if (status === 'cancelled') {
+    order.cancelledAt = new Date();
+  }
+};
+
+// Free the rider's currentOrder slot once the order no longer needs them.
+// Riders on a delivery run are moved along by syncRunStops instead.
+const releaseRider = (riderId, orderId) => {
+  if (!riderId) return Promise.resolve();
+  return RiderLocation.findOneAndUpdate(
+    { rider: riderId, currentOrder: orderId, currentRun: null },
+    { $unset: { currentOrder: 1 } }
+  );
+};
+
+module.exports = {
+  TRANSITIONS,
+  ORDER_STATUSES,
+  ACTIVE_STATUSES,
+  TERMINAL_STATUSES,
+  RIDER_STATUSES,
+  canTransition,
+  transitionError,
+  applyTransition,
+  releaseRider
+};
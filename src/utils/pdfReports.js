@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const Order = require('../models/Order');
+const { CURRENCY } = require('./stripe');
+
+const MARGIN = 50;
+
+const money = (amount, currency = CURRENCY) => {
+  if (amount === undefined || amount === null) return '-';
+  return `${Number(amount).toFixed(2)} ${currency.toUpperCase()}`;
+};
+
+const formatDateTime = (date) => (date ? moment(date).format('YYYY-MM-DD HH:mm') : '-');
+
+// Amount actually charged for an order; matches the admin revenue figures
+const chargedAmount = (order) => order.payment?.amount ?? order.pricing?.total;
+
+// Send a PDF built by `render(doc)` as a download. The document streams to the
+// client page by page.
+const sendPdf = async (res, filename, render) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+
+  try {
+    await render(doc);
+    doc.end();
+  } catch (error) {
+    res.destroy(error);
+  }
+};
+
+const heading = (doc, text) => {
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text(text).font('Helvetica').fontSize(10).moveDown(0.3);
+};
+
+const field = (doc, label, value) => {
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+    .font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+};
+
+// One line of fixed-width columns, continuing on a new page when this one is full
+const tableRow = (doc, columns, values, { bold = false } = {}) => {
+  if (doc.y > doc.page.height - MARGIN - 20) doc.addPage();
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+  let x = MARGIN;
+  columns.forEach((width, index) => {
+    doc.text(values[index] === undefined || values[index] === null ? '-' : String(values[index]), x, y, {
+      width: width - 5,
+      lineBreak: false,
+      ellipsis: true
+    });
+    x += width;
+  });
+  doc.font('Helvetica').text('', MARGIN, y + 14);
+};
+
+// Delivery receipt for one order: parties, addresses, price, timeline and proof of delivery
+const renderReceipt = (doc, order) => {
+  const currency = order.pricing?.currency || order.payment?.currency || CURRENCY;
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Delivery receipt');
+  doc.font('Helvetica').fontSize(10).moveDown(0.5);
+  field(doc, 'Tracking code', order.trackingCode);
+  field(doc, 'Status', order.status);
+  field(doc, 'Created', formatDateTime(order.createdAt));
+  field(doc, 'Business', order.business?.businessInfo?.businessName || order.business?.profile?.name);
+  field(doc, 'Rider', order.rider?.profile?.name);
+
+  heading(doc, 'Delivery');
+  field(doc, 'Pickup', order.pickupLocation?.address);
+  field(doc, 'Dropoff', order.dropoffLocation?.address);
+  field(doc, 'Customer', `${order.customer?.name || '-'} (${order.customer?.phone || '-'})`);
+  field(doc, 'Requested', order.deliveryWindow?.start
+    ? `${formatDateTime(order.deliveryWindow.start)} - ${moment(order.deliveryWindow.end).format('HH:mm')}`
+    : `${order.deliveryDate ? moment(order.deliveryDate).format('YYYY-MM-DD') : '-'} ${order.deliveryTime || ''}`);
+  field(doc, 'Delivered at', formatDateTime(order.actualDeliveryTime));
+  field(doc, 'Product', `${order.product?.description || '-'}, ${order.product?.weight ?? '-'} kg`);
+
+  heading(doc, 'Charges');
+  if (order.pricing?.total !== undefined) {
+    field(doc, 'Distance', order.pricing.distanceKm !== undefined && order.pricing.distanceKm !== null
+      ? `${order.pricing.distanceKm} km`
+      : '-');
+    field(doc, 'Vehicle', order.pricing.vehicleType);
+    field(doc, 'Base fare', money(order.pricing.baseFare, currency));
+    field(doc, 'Distance fare', money(order.pricing.distanceFare, currency));
+    field(doc, 'Weight fare', money(order.pricing.weightFare, currency));
+    (order.pricing.surcharges || []).forEach((surcharge) => field(doc, surcharge.name, money(surcharge.amount, currency)));
+    field(doc, 'Total', money(order.pricing.total, currency));
+  }
+  field(doc, 'Payment status', order.paymentStatus);
+  if (order.payment?.paidAt) field(doc, 'Paid', `${money(order.payment.amount, currency)} on ${formatDateTime(order.payment.paidAt)}`);
+  if (order.payment?.refundedAt) field(doc, 'Refunded', formatDateTime(order.payment.refundedAt));
+  if (order.cashOnDelivery?.amount) {
+    field(doc, 'Cash on delivery', money(order.cashOnDelivery.amount, currency));
+    if (order.cashOnDelivery.collectedAt) {
+      field(doc, 'Cash collected', `${money(order.cashOnDelivery.collectedAmount, currency)} on ${formatDateTime(order.cashOnDelivery.collectedAt)}`);
+    }
+  }
+
+  heading(doc, 'Timeline');
+  const columns = [110, 80, 305];
+  tableRow(doc, columns, ['Time', 'Status', 'Notes'], { bold: true });
+  order.timeline.forEach((entry) => {
+    tableRow(doc, columns, [formatDateTime(entry.timestamp), entry.status, entry.notes]);
+  });
+
+  const proof = order.proofOfDelivery;
+  if (proof?.submittedAt) {
+    heading(doc, 'Proof of delivery');
+    field(doc, 'Submitted', formatDateTime(proof.submittedAt));
+    field(doc, 'Recipient', proof.recipientName);
+    field(doc, 'Delivery code verified', proof.otpVerified ? 'Yes' : 'No');
+    if (proof.location?.latitude !== undefined) {
+      field(doc, 'Location', `${proof.location.latitude}, ${proof.location.longitude}`);
+    }
+    field(doc, 'Notes', proof.notes);
+    if (proof.photo) field(doc, 'Photo', proof.photo);
+    if (proof.signature) field(doc, 'Signature', proof.signature);
+  }
+
+  if (order.failureReason) field(doc, 'Failure reason', order.failureReason);
+  if (order.cancellationReason) field(doc, 'Cancellation reason', order.cancellationReason);
+};
+
+// "YYYY-MM" -> { from, to } covering that month, or null when malformed
+const monthRange = (month) => {
+  const start = moment(month, 'YYYY-MM', true);
+  if (!start.isValid()) return null;
+  return { from: start.startOf('month').toDate(), to: start.clone().endOf('month').toDate() };
+};
+
+// Monthly statement for a business: totals by status, then every order of the
+// month streamed from a cursor
+const renderBusinessStatement = async (doc, business, month) => {
+  const { from, to } = monthRange(month);
+  const match = { business: business._id, createdAt: { $gte: from, $lte: to } };
+
+  const [summary] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        delivered: { $sum: { $cond: [{ $eq: ['$status', 'delivered'] }, 1, 0] } },
+        failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+        cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+        charged: {
+          $sum: {
+            $cond: [
+              { $eq: ['$paymentStatus', 'paid'] },
+              { $ifNull: ['$payment.amount', { $ifNull: ['$pricing.total', 0] }] },
+              0
+            ]
+          }
+        },
+        outstanding: {
+          $sum: {
+            $cond: [
+              { $in: ['$paymentStatus', ['pending', 'failed']] },
+              { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, { $ifNull: ['$pricing.total', 0] }] },
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]);
+
+  doc.font('Helvetica-Bold').fontSize(18).text('Monthly statement');
+  doc.font('Helvetica').fontSize(10).moveDown(0.5);
+  field(doc, 'Business', business.businessInfo?.businessName || business.profile?.name);
+  field(doc, 'Email', business.email);
+  field(doc, 'Period', `${moment(from).format('YYYY-MM-DD')} to ${moment(to).format('YYYY-MM-DD')}`);
+  field(doc, 'Generated', formatDateTime(new Date()));
+
+  heading(doc, 'Summary');
+  field(doc, 'Orders', summary?.orders || 0);
+  field(doc, 'Delivered', summary?.delivered || 0);
+  field(doc, 'Failed', summary?.failed || 0);
+  field(doc, 'Cancelled', summary?.cancelled || 0);
+  field(doc, 'Charged', money(summary?.charged || 0));
+  field(doc, 'Outstanding', money(summary?.outstanding || 0));
+
+  heading(doc, 'Orders');
+  const columns = [70, 95, 165, 65, 50, 50];
+  tableRow(doc, columns, ['Date', 'Tracking code', 'Dropoff', 'Status', 'Payment', 'Amount'], { bold: true });
+
+  const cursor = Order.find(match)
+    .select('trackingCode createdAt dropoffLocation.address status paymentStatus pricing.total payment.amount')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const order of cursor) {
+    tableRow(doc, columns, [
+      moment(order.createdAt).format('YYYY-MM-DD'),
+      order.trackingCode,
+      order.dropoffLocation?.address,
+      order.status,
+      order.paymentStatus,
+      chargedAmount(order)?.toFixed(2)
+    ]);
+  }
+};
+
+module.exports = { sendPdf, renderReceipt, monthRange, renderBusinessStatement };
@@ -0,0 +1,94 @@
+const moment = require('moment');
+const PricingConfig = require('../models/PricingConfig');
+const { hasLatLng, haversineKm } = require('./geo');
+
+const DEFAULT_VEHICLE_TYPE = 'bike';
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Most recent config, created with defaults on first use
+const getPricingConfig = async () => {
+  const config = await PricingConfig.findOne().sort({ createdAt: -1 });
+  return config || new PricingConfig().save();
+};
+
+// First "HH:mm" in a free-text window such as "14:00 - 16:00"
+const windowStart = (deliveryTime) => {
+  const match = /(\d{1,2}):(\d{2})/.exec(deliveryTime || '');
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+// Price a delivery from distance, weight, vehicle and requested window.
+// Kept pure so the preview and order creation produce the same numbers.
+// Without both coordinates no distance fare is included and the quote is
+// flagged distanceUnknown.
+const calculateQuote = (config, {
+  pickupCoordinates, dropoffCoordinates, weight, vehicleType, deliveryDate, deliveryTime
+}) => {
+  const vehicle = vehicleType || DEFAULT_VEHICLE_TYPE;
+  const multipliers = config.vehicleMultipliers instanceof Map
+    ? Object.fromEntries(config.vehicleMultipliers)
+    : config.vehicleMultipliers || {};
+
+  if (multipliers[vehicle] === undefined) {
+    throw new Error(`Unknown vehicle type: ${vehicle}`);
+  }
+
+  const distanceKm = hasLatLng(pickupCoordinates) && hasLatLng(dropoffCoordinates)
+    ? roundMoney(haversineKm(pickupCoordinates, dropoffCoordinates))
+    : null;
+
+  const distanceFare = Math.max(0, (distanceKm || 0) - config.includedKm) * config.perKm;
+  const weightFare = Math.max(0, (parseFloat(weight) || 0) - config.includedWeightKg) * config.perKg;
+  const vehicleMultiplier = multipliers[vehicle];
+
+  const surcharges = [];
+  if (deliveryDate && moment(deliveryDate).isSame(moment(), 'day')) {
+    surcharges.push({ name: 'Same day', amount: config.sameDaySurcharge });
+  }
+  const start = windowStart(deliveryTime);
+  if (start) {
+    config.windowSurcharges
+      .filter((rule) => start >= rule.from && start <= rule.to)
+      .forEach((rule) => surcharges.push({ name: rule.label, amount: rule.amount }));
+  }
+
+  const subtotal = (config.baseFare + distanceFare + weightFare) * vehicleMultiplier;
+  const surchargeTotal = surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0);
+  const total = Math.max(config.minimumFare, subtotal + surchargeTotal);
+
+  return {
+    distanceKm,
+    distanceUnknown: distanceKm === null,
+    vehicleType: vehicle,
+    baseFare: roundMoney(config.baseFare),
+    distanceFare: roundMoney(distanceFare),
+    weightFare: roundMoney(weightFare),
+    vehicleMultiplier,
+    surcharges: surcharges.filter((surcharge) => surcharge.amount > 0),
+    total: roundMoney(total),
+    currency: config.currency,
+    quotedAt: new Date()
+  };
+};
+
+const quoteOrder = async (details) => calculateQuote(await getPricingConfig(), details);
+
+// Quote input taken from an Order document
+const quoteInputFromOrder = (order) => ({
+  pickupCoordinates: order.pickupLocation?.coordinates,
+  dropoffCoordinates: order.dropoffLocation?.coordinates,
+  weight: order.product?.weight,
+  vehicleType: order.pricing?.vehicleType,
+  deliveryDate: order.deliveryDate,
+  deliveryTime: order.deliveryTime
+});
+
+module.exports = {
+  DEFAULT_VEHICLE_TYPE,
+  roundMoney,
+  getPricingConfig,
+  calculateQuote,
+  quoteOrder,
+  quoteInputFromOrder
+};
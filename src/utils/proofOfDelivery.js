@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const OTP_LENGTH = 6;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Code the customer hands the rider at the door; issued once per order unless
+// replaced. Returns whether a new code was issued; caller saves.
+const issueDeliveryOtp = (order, { replace = false } = {}) => {
+  if (order.deliveryOtp?.issuedAt && !replace) return false;
+
+  order.deliveryOtp = {
+    code: crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0'),
+    issuedAt: new Date(),
+    attempts: 0
+  };
+  return true;
+};
+
+// Returns an error message, or null when the code matches. Order must be
+// loaded with '+deliveryOtp.code'; caller saves to persist the attempt count.
+const verifyDeliveryOtp = (order, otp) => {
+  const expected = order.deliveryOtp?.code;
+  if (!order.deliveryOtp?.issuedAt || !expected) {
+    return 'No delivery code was issued for this order; contact support';
+  }
+
+  if (order.deliveryOtp.attempts >= MAX_OTP_ATTEMPTS) {
+    return 'Too many incorrect delivery codes; contact support';
+  }
+
+  const given = Buffer.from(String(otp || ''));
+  const matches = given.length === expected.length &&
+    crypto.timingSafeEqual(given, Buffer.from(expected));
+
+  if (!matches) {
+    order.deliveryOtp.attempts += 1;
+    return 'Invalid delivery code';
+  }
+
+  order.deliveryOtp.verifiedAt = new Date();
+  return null;
+};
+
+// Order as its rider may see it. The tracking code is left out too, since the
+// public tracking view it opens belongs to the customer.
+const riderOrderView = (order) => {
+  const view = order.toObject ? order.toObject() : { ...order };
+  delete view.trackingCode;
+  if (view.deliveryOtp) {
+    view.deliveryOtp = { ...view.deliveryOtp };
+    delete view.deliveryOtp.code;
+  }
+  return view;
+};
+
+module.exports = { OTP_LENGTH, MAX_OTP_ATTEMPTS, issueDeliveryOtp, verifyDeliveryOtp, riderOrderView };
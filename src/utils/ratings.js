@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Rating = require('../models/Rating');
+const User = require('../models/User');
+
+// How long after delivery an order can still be rated
+const RATING_WINDOW_DAYS = parseInt(process.env.RATING_WINDOW_DAYS, 10) || 7;
+// The rolling average covers this many of the rider's latest ratings
+const ROLLING_RATINGS = parseInt(process.env.RATING_ROLLING_COUNT, 10) || 50;
+// Riders whose rolling average is below this show up as low rated
+const LOW_RATING_THRESHOLD = parseFloat(process.env.RATING_LOW_THRESHOLD) || 3.5;
+
+const roundAverage = (value) => Math.round(value * 100) / 100;
+
+const ratingClosesAt = (order) => {
+  if (!order.actualDeliveryTime) return null;
+  return new Date(order.actualDeliveryTime.getTime() + RATING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Why the order cannot be rated now, or null
+const ratingWindowError = (order) => {
+  if (order.status !== 'delivered' || !order.rider) {
+    return 'Only delivered orders can be rated';
+  }
+  if (ratingClosesAt(order) < new Date()) {
+    return `Orders can only be rated within ${RATING_WINDOW_DAYS} days of delivery`;
+  }
+  return null;
+};
+
+// Customer ratings carry the token from the delivered SMS. Order must be
+// loaded with '+ratingToken'.
+const ratingTokenMatches = (order, token) => {
+  if (!order.ratingToken || typeof token !== 'string') return false;
+
+  const given = Buffer.from(token);
+  const expected = Buffer.from(order.ratingToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Recompute a rider's averages from their published ratings
+const updateRiderRating = async (riderId) => {
+  const rider = new mongoose.Types.ObjectId(riderId);
+
+  const [overall] = await Rating.aggregate([
+    { $match: { rider, status: 'published' } },
+    { $group: { _id: null, average: { $avg: '$score' }, count: { $sum: 1 } } }
+  ]);
+  const [recent] = await Rating.aggregate([
+    { $match: { rider, status: 'published' } },
+    { $sort: { createdAt: -1 } },
+    { $limit: ROLLING_RATINGS },
+    { $group: { _id: null, average: { $avg: '$score' } } }
+  ]);
+
+  const rating = {
+    average: overall ? roundAverage(overall.average) : null,
+    count: overall?.count || 0,
+    recentAverage: recent ? roundAverage(recent.average) : null,
+    updatedAt: new Date()
+  };
+  await User.updateOne({ _id: rider }, { 'riderInfo.rating': rating });
+  return rating;
+};
+
+// Store one rating for a delivered order. Returns { rating } or { error }.
+const submitRating = async (order, source, { score, comment }) => {
+  const windowError = ratingWindowError(order);
+  if (windowError) {
+    return { error: windowError };
+  }
+
+  let rating;
+  try {
+    rating = await new Rating({
+      order: order._id,
+      rider: order.rider._id || order.rider,
+      business: order.business._id || order.business,
+      source,
+      score: parseInt(score, 10),
+      comment
+    }).save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return { error: 'This order has already been rated' };
+    }
+    throw error;
+  }
+
+  await updateRiderRating(rating.rider);
+  return { rating };
+};
+
+module.exports = {
+  RATING_WINDOW_DAYS,
+  LOW_RATING_THRESHOLD,
+  ratingClosesAt,
+  ratingWindowError,
+  ratingTokenMatches,
+  updateRiderRating,
+  submitRating
+};
@@ -0,0 +1,49 @@
+const RiderLocation = require('../models/RiderLocation');
+const Order = require('../models/Order');
+const { broadcastFleetUpdate } = require('./fleet');
+const { recordPing } = require('./locationHistory');
+const { refreshEta } = require('./eta');
+const { carriedOrderIds } = require('./deliveryRuns');
+
+const isValidPosition = (latitude, longitude) => {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+};
+
+// Single write path for rider positions, used by the REST route and the socket,
+// so both persist the same way and push the same events.
+const updateRiderLocation = async (riderId, { latitude, longitude, isOnline }) => {
+  const update = { location: { latitude, longitude } };
+  if (isOnline !== undefined) update.isOnline = isOnline;
+
+  const location = await RiderLocation.findOneAndUpdate(
+    { rider: riderId },
+    update,
+    { new: true, upsert: true }
+  );
+  const orderIds = await carriedOrderIds(location);
+  await recordPing(riderId, orderIds, { latitude, longitude });
+
+  const payload = {
+    riderId,
+    orderId: location.currentOrder,
+    location: { latitude, longitude },
+    timestamp: new Date()
+  };
+
+  // Emit location update for every order the rider is carrying; on a run each
+  // customer gets the ETA along the run's remaining stops
+  for (const orderId of orderIds) {
+    const order = await Order.findById(orderId)
+      .select('status business rider deliveryRun trackingCode pickupLocation dropoffLocation deliveryDate deliveryTime deliveryWindow eta');
+    const eta = order ? await refreshEta(order, { latitude, longitude }) : null;
+    if (orderId.equals(location.currentOrder)) payload.eta = eta;
+    global.io.to(`order-${orderId}`).emit('location-update', { ...payload, orderId, eta });
+  }
+  global.io.to('admins').emit('rider-location', payload);
+  await broadcastFleetUpdate(location);
+
+  return location;
+};
+
+module.exports = { isValidPosition, updateRiderLocation };
@@ -0,0 +1,10 @@
+const { haversineKm } = require('../geo');
+
+// Straight-line distance at the given speed; no road network involved
+module.exports = {
+  name: 'haversine',
+  route: async ({ from, to, speedKmh }) => {
+    const distanceKm = haversineKm(from, to);
+    return { distanceKm, durationSeconds: (distanceKm / speedKmh) * 3600 };
+  }
+};
@@ -0,0 +1,23 @@
+const haversineProvider = require('./haversineProvider');
+
+// A routing provider is { name, route({ from, to, speedKmh }) => Promise<{ distanceKm, durationSeconds }> }
+// where from/to are { latitude, longitude }. Road-network services register
+// themselves here and are picked with ROUTING_PROVIDER.
+const providers = {
+  haversine: haversineProvider
+};
+
+const registerRoutingProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getRoutingProvider = () => {
+  const name = process.env.ROUTING_PROVIDER || 'haversine';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown routing provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { registerRoutingProvider, getRoutingProvider };
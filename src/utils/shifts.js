@@ -0,0 +1,201 @@
+const Shift = require('../models/Shift');
+const OnlineSession = require('../models/OnlineSession');
+const RiderLocation = require('../models/RiderLocation');
+const Order = require('../models/Order');
+const { ACTIVE_STATUSES, TERMINAL_STATUSES } = require('./orderStatus');
+const { declineOffer } = require('./dispatch');
+const { broadcastFleetUpdate } = require('./fleet');
+
+// Going online without a claimed shift: 'warn' (default) allows it with a
+// warning, 'block' refuses it, 'off' allows it silently. Sessions outside a
+// shift are marked either way.
+const SHIFT_ENFORCEMENT = ['off', 'warn', 'block'].includes(process.env.SHIFT_ENFORCEMENT)
+  ? process.env.SHIFT_ENFORCEMENT
+  : 'warn';
+// Riders may go online this long before their shift starts
+const EARLY_START_MS = (parseInt(process.env.SHIFT_EARLY_START_MINUTES, 10) || 15) * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Claimed shift the rider is working at the given time, if any
+const currentShift = (riderId, at = new Date()) => Shift.findOne({
+  riders: riderId,
+  status: 'published',
+  startsAt: { $lte: new Date(at.getTime() + EARLY_START_MS) },
+  endsAt: { $gt: at }
+}).sort({ startsAt: 1 });
+
+// Open or close the rider's online session when their online flag is about
+// to change; the caller updates the flag. Resolves to {} when nothing changes,
+// { warning } or { error } when going online outside a shift.
+const recordOnlineChange = async (riderId, isOnline) => {
+  const location = await RiderLocation.findOne({ rider: riderId }).select('isOnline');
+  if (!!location?.isOnline === isOnline) return {};
+
+  const now = new Date();
+  if (!isOnline) {
+    await OnlineSession.updateMany({ rider: riderId, endedAt: null }, { endedAt: now });
+    return {};
+  }
+
+  const shift = await currentShift(riderId, now);
+  if (!shift && SHIFT_ENFORCEMENT === 'block') {
+    return { error: 'You can only go online during a shift you claimed' };
+  }
+
+  await OnlineSession.create({ rider: riderId, startedAt: now, shift: shift?._id, outsideShift: !shift });
+
+  return !shift && SHIFT_ENFORCEMENT === 'warn'
+    ? { warning: 'You are online outside your claimed shifts' }
+    : {};
+};
+
+// Called on each location ping of an online rider. A session started in a
+// shift that has since ended is split off: with 'block' the rider is taken
+// offline so dispatch stops offering them orders, otherwise the rest of the
+// session is recorded as outside a shift. Riders still carrying an order or
+// run finish it first. Resolves like recordOnlineChange().
+const enforceShiftEnd = async (riderId) => {
+  if (SHIFT_ENFORCEMENT === 'off') return {};
+
+  const carrying = await RiderLocation.exists({
+    rider: riderId,
+    $or: [{ currentOrder: { $ne: null } }, { currentRun: { $ne: null } }]
+  });
+  if (carrying) return {};
+
+  const session = await OnlineSession.findOne({ rider: riderId, endedAt: null, outsideShift: false });
+  if (!session || await currentShift(riderId)) return {};
+
+  const now = new Date();
+  await OnlineSession.updateOne({ _id: session._id }, { endedAt: now });
+
+  if (SHIFT_ENFORCEMENT === 'block') {
+    const location = await RiderLocation.findOneAndUpdate({ rider: riderId }, { isOnline: false }, { new: true });
+    if (location?.offeredOrder) {
+      await declineOffer(location.offeredOrder, riderId);
+    }
+    if (location) await broadcastFleetUpdate(location);
+    return { error: 'Your shift has ended; you have been set offline' };
+  }
+
+  await OnlineSession.create({ rider: riderId, startedAt: now, outsideShift: true });
+  return { warning: 'Your shift has ended; you are now online outside your claimed shifts' };
+};
+
+const overlapMs = (a, b) => Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  [...intervals].sort((a, b) => a.start - b.start).forEach((interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+  return merged;
+};
+
+// When the rider held the order: from its last assignment until it ended
+const busyInterval = (order, now) => {
+  const timeline = [...order.timeline].sort((a, b) => a.timestamp - b.timestamp);
+  const assignedAt = timeline.map((entry) => entry.status).lastIndexOf('assigned');
+  if (assignedAt === -1) return null;
+
+  const ended = timeline.slice(assignedAt + 1).find((entry) => TERMINAL_STATUSES.includes(entry.status));
+  const end = ended?.timestamp || (ACTIVE_STATUSES.includes(order.status) ? now : order.updatedAt);
+  return { start: timeline[assignedAt].timestamp.getTime(), end: new Date(end).getTime() };
+};
+
+const toHours = (ms) => Math.round((ms / HOUR_MS) * 100) / 100;
+
+// Per rider and period: hours scheduled in claimed shifts, online, online
+// outside a shift, busy with an order while online, and idle. Utilization is
+// the busy share of online time.
+const shiftReport = async ({ from, to, riderIds }) => {
+  const now = new Date();
+  const until = new Date(Math.min(to.getTime(), now.getTime()));
+  const range = { start: from.getTime(), end: until.getTime() };
+  const riderFilter = riderIds ? { $in: riderIds } : { $ne: null };
+
+  const sessions = await OnlineSession.find({
+    rider: riderFilter,
+    startedAt: { $lt: until },
+    $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+  }).lean();
+
+  const shifts = await Shift.find({
+    status: 'published',
+    riders: riderIds ? { $in: riderIds } : { $exists: true, $ne: [] },
+    startsAt: { $lt: to },
+    endsAt: { $gt: from }
+  }).lean();
+
+  const orders = await Order.find({
+    rider: riderFilter,
+    createdAt: { $lt: until },
+    $or: [{ updatedAt: { $gte: from } }, { status: { $in: ACTIVE_STATUSES } }]
+  }).select('rider status timeline updatedAt').lean();
+
+  const rows = new Map();
+  const row = (riderId) => {
+    const key = String(riderId);
+    if (!rows.has(key)) {
+      rows.set(key, { rider: riderId, scheduledMs: 0, onlineMs: 0, outsideShiftMs: 0, sessions: [], busy: [] });
+    }
+    return rows.get(key);
+  };
+
+  const wanted = riderIds ? new Set(riderIds.map(String)) : null;
+  shifts.forEach((shift) => {
+    const span = overlapMs({ start: shift.startsAt.getTime(), end: shift.endsAt.getTime() }, { start: range.start, end: to.getTime() });
+    shift.riders
+      .filter((riderId) => !wanted || wanted.has(String(riderId)))
+      .forEach((riderId) => { row(riderId).scheduledMs += span; });
+  });
+
+  sessions.forEach((session) => {
+    const interval = {
+      start: Math.max(session.startedAt.getTime(), range.start),
+      end: Math.min((session.endedAt || now).getTime(), range.end)
+    };
+    if (interval.end <= interval.start) return;
+
+    const entry = row(session.rider);
+    entry.sessions.push(interval);
+    entry.onlineMs += interval.end - interval.start;
+    if (session.outsideShift) entry.outsideShiftMs += interval.end - interval.start;
+  });
+
+  orders.forEach((order) => {
+    const interval = busyInterval(order, now);
+    if (interval && rows.has(String(order.rider))) rows.get(String(order.rider)).busy.push(interval);
+  });
+
+  return [...rows.values()].map((entry) => {
+    const busy = mergeIntervals(entry.busy);
+    const busyMs = entry.sessions.reduce((sum, session) => {
+      return sum + busy.reduce((inner, interval) => inner + overlapMs(session, interval), 0);
+    }, 0);
+
+    return {
+      rider: entry.rider,
+      scheduledHours: toHours(entry.scheduledMs),
+      onlineHours: toHours(entry.onlineMs),
+      outsideShiftHours: toHours(entry.outsideShiftMs),
+      busyHours: toHours(busyMs),
+      idleHours: toHours(entry.onlineMs - busyMs),
+      utilization: entry.onlineMs > 0 ? Math.round((busyMs / entry.onlineMs) * 1000) / 1000 : null,
+      sessionCount: entry.sessions.length
+    };
+  });
+};
+
+module.exports = {
+  SHIFT_ENFORCEMENT,
+  currentShift,
+  recordOnlineChange,
+  enforceShiftEnd,
+  shiftReport
+};
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Development stub: prints messages instead of sending them
+module.exports = {
+  name: 'console',
+  send: async ({ to, body }) => {
+    const id = crypto.randomUUID();
+    console.log(`[sms:${id}] to ${to}: ${body}`);
+    return { id };
+  }
+};
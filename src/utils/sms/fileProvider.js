@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Development stub: appends each message as a JSON line to SMS_LOG_FILE
+module.exports = {
+  name: 'file',
+  send: async ({ to, body }) => {
+    const id = crypto.randomUUID();
+    const line = JSON.stringify({ id, to, body, sentAt: new Date() });
+    await fs.promises.appendFile(process.env.SMS_LOG_FILE || 'sms.log', `${line}\n`);
+    return { id };
+  }
+};
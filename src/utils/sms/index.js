@@ -0,0 +1,24 @@
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+
+// An SMS provider is { name, send({ to, body }) => Promise<{ id }> }.
+// Real gateways register themselves here and are picked with SMS_PROVIDER.
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { registerSmsProvider, getSmsProvider };
@@ -0,0 +1,143 @@
+const Order = require('../models/Order');
+const RiderLocation = require('../models/RiderLocation');
+const { socketAuth } = require('../middleware/auth');
+const { isValidPosition, updateRiderLocation } = require('./riderLocation');
+const { parseBoundingBox, fleetSnapshot } = require('./fleet');
+const { carriedOrderIds } = require('./deliveryRuns');
+const { enforceShiftEnd } = require('./shifts');
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') ack(payload);
+};
+
+// Whether an authenticated user may follow an order's room
+const canFollowOrder = (user, order) => {
+  if (user.role === 'admin') return true;
+  if (user.role === 'business') return order.business.equals(user._id);
+  if (user.role === 'rider') return !!order.rider && order.rider.equals(user._id);
+  return false;
+};
+
+const registerSocketHandlers = (io) => {
+  io.use(socketAuth);
+
+  io.on('connection', (socket) => {
+    const { user } = socket;
+    console.log('Client connected:', socket.id, user ? `${user.role} ${user._id}` : 'guest');
+
+    // Personal and role rooms; the session and user rooms let revocation end the connection
+    if (user) {
+      socket.join([`session-${socket.sessionId}`, `user-${user._id}`]);
+      socket.join(`${user.role}-${user._id}`);
+      if (user.role === 'admin') socket.join('admins');
+    }
+
+    // Customers without an account follow an order through its tracking code
+    socket.on('join-tracking', async (trackingCode, ack) => {
+      try {
+        if (typeof trackingCode !== 'string') {
+          return reply(ack, { ok: false, message: 'Invalid tracking code' });
+        }
+
+        const order = await Order.findOne({ trackingCode }).select('_id status');
+        if (!order) {
+          return reply(ack, { ok: false, message: 'Invalid tracking code' });
+        }
+
+        socket.join(`order-${order._id}`);
+        reply(ack, { ok: true, orderId: order._id, status: order.status });
+      } catch (error) {
+        reply(ack, { ok: false, message: 'Unable to join order' });
+      }
+    });
+
+    socket.on('join-order', async (orderId, ack) => {
+      try {
+        if (!user) {
+          return reply(ack, { ok: false, message: 'Authentication required' });
+        }
+
+        const order = await Order.findById(orderId).select('business rider status');
+        if (!order || !canFollowOrder(user, order)) {
+          return reply(ack, { ok: false, message: 'Order not found' });
+        }
+
+        socket.join(`order-${order._id}`);
+        reply(ack, { ok: true, orderId: order._id, status: order.status });
+      } catch (error) {
+        reply(ack, { ok: false, message: 'Unable to join order' });
+      }
+    });
+
+    socket.on('leave-order', (orderId) => {
+      socket.leave(`order-${orderId}`);
+    });
+
+    // Riders may only broadcast for the order they are carrying; the position is
+    // persisted exactly as POST /api/rider/location does
+    socket.on('rider-location', async (data, ack) => {
+      try {
+        if (!user || user.role !== 'rider') {
+          return reply(ack, { ok: false, message: 'Only riders can send locations' });
+        }
+
+        const latitude = parseFloat(data?.latitude ?? data?.location?.latitude);
+        const longitude = parseFloat(data?.longitude ?? data?.location?.longitude);
+        if (!isValidPosition(latitude, longitude)) {
+          return reply(ack, { ok: false, message: 'Valid latitude and longitude are required' });
+        }
+
+        const current = await RiderLocation.findOne({ rider: user._id }).select('currentOrder currentRun');
+        const carried = await carriedOrderIds(current);
+        if (data?.orderId && !carried.some((orderId) => orderId.equals(data.orderId))) {
+          return reply(ack, { ok: false, message: 'Order is not assigned to you' });
+        }
+
+        const { error, warning } = await enforceShiftEnd(user._id);
+        await updateRiderLocation(user._id, { latitude, longitude });
+        if (error) {
+          return reply(ack, { ok: false, message: error, isOnline: false });
+        }
+
+        reply(ack, { ok: true, warning });
+      } catch (error) {
+        reply(ack, { ok: false, message: 'Unable to update location' });
+      }
+    });
+
+    // Admin fleet map: subscribing (again) with a viewport replaces the previous
+    // one, returns the riders in view and streams their moves as 'fleet-update'
+    socket.on('fleet-subscribe', async (data, ack) => {
+      try {
+        if (!user || user.role !== 'admin') {
+          return reply(ack, { ok: false, message: 'Only admins can follow the fleet' });
+        }
+
+        const box = parseBoundingBox(data?.bbox);
+        if (data?.bbox && !box) {
+          return reply(ack, { ok: false, message: 'bbox must be minLng,minLat,maxLng,maxLat' });
+        }
+
+        const riders = await fleetSnapshot({ box });
+        socket.data.fleetBox = box;
+        socket.data.fleetRiders = new Set(riders.map((rider) => String(rider.riderId)));
+        socket.join('fleet');
+        reply(ack, { ok: true, riders });
+      } catch (error) {
+        reply(ack, { ok: false, message: 'Unable to load fleet' });
+      }
+    });
+
+    socket.on('fleet-unsubscribe', () => {
+      socket.leave('fleet');
+      delete socket.data.fleetBox;
+      delete socket.data.fleetRiders;
+    });
+
+    socket.on('disconnect', () => {
+      console.log('Client disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = { registerSocketHandlers };
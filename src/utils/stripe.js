@@ -0,0 +1,29 @@
+const Stripe = require('stripe');
+
+// Flat fee for orders created before per-order pricing existed
+const DEFAULT_DELIVERY_FEE = 30;
+const CURRENCY = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local Stripe stub in tests
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_placeholder', {
+  apiVersion: '2023-08-16',
+  host: process.env.STRIPE_API_HOST || undefined,
+  port: process.env.STRIPE_API_PORT || undefined,
+  protocol: process.env.STRIPE_API_PROTOCOL || undefined
+});
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+const fromMinorUnits = (amount) => amount / 100;
+
+const constructWebhookEvent = (rawBody, signature) => {
+  return stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+};
+
+module.exports = {
+  stripe,
+  CURRENCY,
+  DEFAULT_DELIVERY_FEE,
+  toMinorUnits,
+  fromMinorUnits,
+  constructWebhookEvent
+};
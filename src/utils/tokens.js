@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const MAX_ROTATED_HASHES = 20;
+
+const DEV_JWT_SECRET = 'dev-only-insecure-jwt-secret';
+
+// Called at startup so production never runs on the development secret
+const assertJwtSecret = () => {
+  if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  if (!process.env.JWT_SECRET) {
+    console.warn('JWT_SECRET is not set; using an insecure development secret');
+  }
+};
+
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return DEV_JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, getJwtSecret(), { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const tokenResponse = (session, refreshToken) => ({
+  token: signAccessToken(session.user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a new session for a successful login or registration
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = await new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  }).save();
+
+  return tokenResponse(session, refreshToken);
+};
+
+// Sockets join rooms for their session and user at the handshake, so
+// revoking sessions also ends the live connections
+const disconnectSockets = (room) => {
+  global.io?.in(room).disconnectSockets(true);
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  disconnectSockets(`session-${sessionId}`);
+  return result;
+};
+
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  disconnectSockets(`user-${userId}`);
+  return result;
+};
+
+// Swap a refresh token for a new pair. The old token is consumed in one
+// update, so of two concurrent refreshes only one succeeds; a token that was
+// already rotated out means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = crypto.randomBytes(48).toString('hex');
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      lastUsedAt: now,
+      expiresAt: refreshExpiry(),
+      $push: { rotatedTokenHashes: { $each: [tokenHash], $slice: -MAX_ROTATED_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ rotatedTokenHashes: tokenHash, revokedAt: null });
+    if (reused) {
+      await revokeSession(reused._id, 'refresh_token_reuse');
+    }
+    return null;
+  }
+
+  return { session, tokens: tokenResponse(session, nextToken) };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  assertJwtSecret,
+  getJwtSecret,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onOrderEvent } = require('./orderEvents');
+const { orderWindow } = require('./deliverySlots');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Private, loopback, link-local and other reserved ranges; webhooks must not
+// reach internal services
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges by BlockList
+const isPublicAddress = (address) => {
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return !!family && !BLOCKED_RANGES.check(address, family);
+};
+
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Why a webhook URL may not be delivered to, or null
+const webhookTargetError = async (url) => {
+  let hostname;
+  try {
+    hostname = hostOf(url);
+  } catch (error) {
+    return 'Invalid webhook URL';
+  }
+
+  let addresses = [{ address: hostname }];
+  if (!net.isIP(hostname)) {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      return `Webhook host ${hostname} could not be resolved`;
+    }
+  }
+
+  return addresses.every(({ address }) => isPublicAddress(address))
+    ? null
+    : `Webhook host ${hostname} is not a public address`;
+};
+
+// Used for the connection itself, so a host cannot resolve to a public
+// address for the check and a private one for the request
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} is not a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<raw body>") and compare
+// it with the X-Webhook-Signature header; the timestamp lets them reject replays
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// What integrators receive about an order; never includes the delivery code
+const orderPayload = (order) => ({
+  id: order._id,
+  trackingCode: order.trackingCode,
+  status: order.status,
+  rider: order.rider?._id || order.rider || null,
+  pickupLocation: order.pickupLocation,
+  dropoffLocation: order.dropoffLocation,
+  deliveryDate: order.deliveryDate,
+  deliveryTime: order.deliveryTime,
+  deliveryWindow: orderWindow(order),
+  customer: order.customer,
+  pricing: order.pricing?.total !== undefined
+    ? { total: order.pricing.total, currency: order.pricing.currency }
+    : undefined,
+  paymentStatus: order.paymentStatus,
+  cashOnDelivery: order.cashOnDelivery?.amount
+    ? { amount: order.cashOnDelivery.amount, collectedAmount: order.cashOnDelivery.collectedAmount }
+    : undefined,
+  eta: order.eta?.dropoffAt ? { pickupAt: order.eta.pickupAt, dropoffAt: order.eta.dropoffAt } : undefined,
+  actualDeliveryTime: order.actualDeliveryTime,
+  failureReason: order.failureReason,
+  cancellationReason: order.cancellationReason,
+  proofOfDelivery: order.status === 'delivered'
+    ? {
+      recipientName: order.proofOfDelivery?.recipientName,
+      otpVerified: order.proofOfDelivery?.otpVerified,
+      photo: order.proofOfDelivery?.photo,
+      submittedAt: order.proofOfDelivery?.submittedAt
+    }
+    : undefined,
+  updatedAt: order.updatedAt
+});
+
+// Plain JSON, so the logged payload is exactly what endpoints and retries receive
+const buildPayload = ({ type, order, details, timestamp }) => JSON.parse(JSON.stringify({
+  id: crypto.randomUUID(),
+  type: `order.${type}`,
+  createdAt: timestamp,
+  data: {
+    order: orderPayload(order),
+    details
+  }
+}));
+
+// Redirects are not followed. Resolves to the response status only; the
+// receiver's body is discarded.
+const postWebhook = (url, secret, payload) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'DeliveryApp-Webhooks/1.0',
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Event': payload.type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+    },
+    lookup: publicLookup,
+    timeout: REQUEST_TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    resolve({ status: response.statusCode, ok: response.statusCode >= 200 && response.statusCode < 300 });
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Receiver did not respond in time')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Send one logged delivery, scheduling a retry with backoff unless the
+// receiver answered 2xx
+const deliver = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = 'failed';
+    delivery.lastError = 'Webhook endpoint removed or disabled';
+    await delivery.save();
+    return delivery;
+  }
+
+  delivery.attempts += 1;
+  const startedAt = Date.now();
+  try {
+    const targetError = await webhookTargetError(delivery.url);
+    if (targetError) {
+      throw new Error(targetError);
+    }
+
+    const response = await postWebhook(delivery.url, endpoint.secret, delivery.payload);
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.responseStatus = response.status;
+
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.durationMs = Date.now() - startedAt;
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: delivery.status }
+    );
+  }
+
+  return delivery;
+};
+
+const handleOrderEvent = async (event) => {
+  const businessId = event.order.business?._id || event.order.business;
+  const endpoints = await WebhookEndpoint.find({ business: businessId, isActive: true, events: event.type });
+  if (endpoints.length === 0) return;
+
+  const payload = buildPayload(event);
+  const deliveries = await WebhookDelivery.insertMany(endpoints.map((endpoint) => ({
+    endpoint: endpoint._id,
+    business: businessId,
+    order: event.orderId,
+    event: event.type,
+    eventId: payload.id,
+    url: endpoint.url,
+    payload
+  })));
+
+  for (const delivery of deliveries) {
+    await deliver(delivery);
+  }
+};
+
+// Send a logged event again, as a new delivery to the endpoint's current URL
+const replayDelivery = async (delivery) => {
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint);
+  if (!endpoint) return null;
+
+  const replay = await WebhookDelivery.create({
+    endpoint: endpoint._id,
+    business: delivery.business,
+    order: delivery.order,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    url: endpoint.url,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+  return deliver(replay);
+};
+
+const retryPending = async () => {
+  // Also pick up entries whose first attempt never ran, e.g. after a restart
+  const due = await WebhookDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+    $or: [
+      { attempts: { $gt: 0 } },
+      { createdAt: { $lte: new Date(Date.now() - 5 * 60 * 1000) } }
+    ]
+  }).limit(50);
+
+  for (const delivery of due) {
+    await deliver(delivery);
+  }
+};
+
+let retryTimer = null;
+const startWebhooks = () => {
+  if (retryTimer) return;
+
+  onOrderEvent(handleOrderEvent);
+
+  let running = false;
+  retryTimer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryPending();
+    } catch (error) {
+      console.log('Webhook retry error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  retryTimer.unref();
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  webhookTargetError,
+  deliver,
+  replayDelivery,
+  startWebhooks
+};